@@ -0,0 +1,252 @@
+// Security audit log - who changed what in the admin panel, from which address, with the values
+// before and after the change. The table is append-only: triggers refuse updates and deletes.
+
+const ACTIONS = {
+  'job.status': 'Zmiana statusu zlecenia',
+  'job.complete': 'Przesłanie pliku przetworzonego',
+  'job.apply_solution': 'Zastosowanie znanego rozwiązania',
+  'job.upload_corrected': 'Przesłanie poprawionego pliku',
+  'job.file_rollback': 'Przywrócenie wersji pliku',
+  'job.close_problem': 'Zamknięcie reklamacji',
+  'job.assign': 'Przypisanie zlecenia',
+  'job.update_message': 'Zmiana wiadomości dla klienta',
+  'job.download_original': 'Pobranie pliku oryginalnego',
+  'job.add_attachments': 'Dodanie plików wynikowych',
+  'job.download_attachment': 'Pobranie załącznika klienta',
+  'user.update': 'Edycja użytkownika',
+  'user.credits': 'Korekta salda',
+  'user.force_password_reset': 'Wymuszenie zmiany hasła',
+  'user.reset_2fa': 'Wyłączenie weryfikacji dwuetapowej',
+  'user.revoke_sessions': 'Wylogowanie wszystkich sesji',
+  'user.unlock': 'Odblokowanie konta',
+  'organization.create': 'Utworzenie organizacji',
+  'organization.update': 'Edycja organizacji',
+  'organization.add_member': 'Dodanie członka organizacji',
+  'organization.remove_member': 'Usunięcie członka organizacji',
+  'organization.delete': 'Usunięcie organizacji',
+  'role.update': 'Zmiana uprawnień ról',
+  'role.create': 'Utworzenie roli',
+  'role.delete': 'Usunięcie roli',
+  'price.update': 'Zmiana cennika',
+  'price.delete': 'Usunięcie pozycji cennika',
+  'service.create': 'Dodanie usługi',
+  'service.update': 'Zmiana usługi',
+  'catalog.update': 'Zmiana wpisu katalogu pojazdów',
+  'catalog.import': 'Import katalogu pojazdów',
+  'catalog.delete': 'Usunięcie z katalogu pojazdów',
+  'dtc.update': 'Zmiana kodu DTC w bibliotece',
+  'dtc.import': 'Import biblioteki kodów DTC',
+  'dtc.delete': 'Usunięcie kodu DTC z biblioteki',
+  'notifications.update': 'Zmiana ustawień powiadomień',
+};
+
+const TARGET_TYPES = {
+  job: 'Zlecenie',
+  user: 'Użytkownik',
+  organization: 'Organizacja',
+  role: 'Rola',
+  price: 'Cennik',
+  service: 'Usługa',
+  catalog: 'Katalog pojazdów',
+  dtc: 'Kod DTC',
+  settings: 'Ustawienia',
+};
+
+const PER_PAGE = 50;
+// Upper bound of rows in one CSV export
+const EXPORT_LIMIT = 100000;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim().substring(0, 100) : '';
+}
+
+function date(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text(value)) ? text(value) : '';
+}
+
+function like(term) {
+  return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Normalise the filters of the audit log page from the query string
+function parseAuditFilters(query) {
+  const page = parseInt(query.page);
+  return {
+    actor: text(query.actor),
+    action: ACTIONS[query.action] ? query.action : '',
+    target_type: TARGET_TYPES[query.target_type] ? query.target_type : '',
+    target_id: text(query.target_id),
+    date_from: date(query.date_from),
+    date_to: date(query.date_to),
+    page: page > 0 ? page : 1,
+  };
+}
+
+// Query string of the filters, used by paging and export links
+function auditQueryString(filters, overrides = {}) {
+  const params = new URLSearchParams();
+  const values = { ...filters, ...overrides };
+  Object.keys(values).forEach((key) => {
+    if (values[key] && !(key === 'page' && values[key] === 1)) params.set(key, values[key]);
+  });
+  return params.toString();
+}
+
+// One CSV field, quoted when needed. Cells starting with a formula character are prefixed with
+// an apostrophe so spreadsheets do not evaluate them.
+function csvField(value) {
+  let field = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(field)) field = `'${field}`;
+  return /[",\r\n;]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+function toCsv(entries) {
+  const header = [
+    'id',
+    'created_at',
+    'actor_id',
+    'actor_name',
+    'actor_role',
+    'ip',
+    'action',
+    'target_type',
+    'target_id',
+    'before_values',
+    'after_values',
+  ];
+  const lines = [header.join(',')];
+  entries.forEach((entry) => {
+    lines.push(header.map((column) => csvField(entry[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function createAuditLog(db) {
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id INTEGER,
+        actor_name TEXT,
+        actor_role TEXT,
+        ip TEXT,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT,
+        before_values TEXT,
+        after_values TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (actor_id) REFERENCES users(id)
+      )`
+    );
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)`);
+
+    db.run(
+      `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+    );
+    db.run(
+      `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+       BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+    );
+  }
+
+  // Record an action of the logged-in user. `before` and `after` are plain objects with the changed
+  // values (either may be null). Failures are logged and do not stop the action itself.
+  function record(req, action, targetType, targetId, before, after, callback) {
+    const actor = req.session.user || {};
+    db.run(
+      `INSERT INTO audit_log (actor_id, actor_name, actor_role, ip, action, target_type, target_id, before_values, after_values)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor.id || null,
+        actor.username || null,
+        actor.role || null,
+        req.ip,
+        action,
+        targetType,
+        targetId === null || targetId === undefined ? null : String(targetId),
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null,
+      ],
+      (err) => {
+        if (err) console.error('Error writing audit log:', err);
+        if (callback) callback(err);
+      }
+    );
+  }
+
+  function buildWhere(filters) {
+    const where = [];
+    const params = [];
+    if (filters.actor) {
+      where.push(`actor_name LIKE ? ESCAPE '\\'`);
+      params.push(like(filters.actor));
+    }
+    if (filters.action) {
+      where.push('action = ?');
+      params.push(filters.action);
+    }
+    if (filters.target_type) {
+      where.push('target_type = ?');
+      params.push(filters.target_type);
+    }
+    if (filters.target_id) {
+      where.push('target_id = ?');
+      params.push(filters.target_id);
+    }
+    if (filters.date_from) {
+      where.push('created_at >= ?');
+      params.push(filters.date_from);
+    }
+    if (filters.date_to) {
+      where.push(`created_at < date(?, '+1 day')`);
+      params.push(filters.date_to);
+    }
+    return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+  }
+
+  // One page of entries, newest first: callback(err, entries, pagination)
+  function search(filters, callback) {
+    const { sql, params } = buildWhere(filters);
+    db.get(`SELECT COUNT(*) AS total FROM audit_log ${sql}`, params, (err, row) => {
+      if (err) return callback(err);
+      const pages = Math.max(Math.ceil(row.total / PER_PAGE), 1);
+      const page = Math.min(filters.page, pages);
+      db.all(
+        `SELECT * FROM audit_log ${sql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, PER_PAGE, (page - 1) * PER_PAGE],
+        (listErr, entries) => {
+          if (listErr) return callback(listErr);
+          callback(null, entries, { page, pages, total: row.total });
+        }
+      );
+    });
+  }
+
+  // All entries matching the filters as CSV, oldest first
+  function exportCsv(filters, callback) {
+    const { sql, params } = buildWhere(filters);
+    db.all(`SELECT * FROM audit_log ${sql} ORDER BY id LIMIT ?`, [...params, EXPORT_LIMIT], (err, entries) => {
+      if (err) return callback(err);
+      callback(null, toCsv(entries));
+    });
+  }
+
+  return {
+    createTables,
+    record,
+    search,
+    exportCsv,
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  TARGET_TYPES,
+  parseAuditFilters,
+  auditQueryString,
+  csvField,
+  createAuditLog,
+};
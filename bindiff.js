@@ -0,0 +1,119 @@
+// Byte-level comparison of an original ECU binary with its modified version
+const BYTES_PER_ROW = 16;
+
+// Changes closer than this many bytes are reported as one region
+const DEFAULT_MERGE_GAP = 16;
+
+// Rows shown of a long region - its head and tail, the middle is summarised
+const MAX_REGION_ROWS = 16;
+
+// Regions listed at once - a rewritten or unrelated file can have hundreds of thousands
+const MAX_LISTED_REGIONS = 500;
+
+// Compare two buffers position by position. Tuned files keep the size of the original,
+// a size difference is reported as a changed region at the end of the file.
+function diffBuffers(original, modified, mergeGap = DEFAULT_MERGE_GAP) {
+  const regions = [];
+  const length = Math.max(original.length, modified.length);
+  let current = null;
+  let changedBytes = 0;
+
+  for (let i = 0; i < length; i++) {
+    if (i < original.length && i < modified.length && original[i] === modified[i]) continue;
+    changedBytes++;
+    if (current && i - current.end <= mergeGap) {
+      current.end = i;
+      current.changed_bytes++;
+    } else {
+      current = { start: i, end: i, changed_bytes: 1 };
+      regions.push(current);
+    }
+  }
+
+  regions.forEach((region) => {
+    region.length = region.end - region.start + 1;
+  });
+
+  return {
+    original_size: original.length,
+    modified_size: modified.length,
+    changed_bytes: changedBytes,
+    regions,
+  };
+}
+
+function hexCell(buffer, offset) {
+  return offset < buffer.length ? buffer[offset].toString(16).toUpperCase().padStart(2, '0') : '--';
+}
+
+function byteChanged(original, modified, i) {
+  return i >= original.length || i >= modified.length || original[i] !== modified[i];
+}
+
+function hexRow(original, modified, offset, length) {
+  const row = { offset, original: [], modified: [] };
+  for (let i = offset; i < offset + BYTES_PER_ROW && i < length; i++) {
+    const changed = byteChanged(original, modified, i);
+    row.original.push({ hex: hexCell(original, i), changed });
+    row.modified.push({ hex: hexCell(modified, i), changed });
+  }
+  return row;
+}
+
+// Rows of the hex view around one region, with `context` unchanged bytes on each side. A region
+// longer than `maxRows` rows keeps its first and last rows; the bytes between are replaced by one
+// { skipped: { offset, bytes, changed_bytes } } row.
+function regionRows(original, modified, region, context = BYTES_PER_ROW, maxRows = MAX_REGION_ROWS) {
+  const length = Math.max(original.length, modified.length);
+  const from = Math.max(0, Math.floor((region.start - context) / BYTES_PER_ROW) * BYTES_PER_ROW);
+  const to = Math.min(length, Math.ceil((region.end + 1 + context) / BYTES_PER_ROW) * BYTES_PER_ROW);
+  const rowCount = Math.ceil((to - from) / BYTES_PER_ROW);
+  const head = rowCount > maxRows ? Math.ceil(maxRows / 2) : rowCount;
+  const tail = rowCount > maxRows ? Math.floor(maxRows / 2) : 0;
+  const rows = [];
+
+  for (let index = 0; index < head; index++) {
+    rows.push(hexRow(original, modified, from + index * BYTES_PER_ROW, length));
+  }
+  if (tail > 0) {
+    const skipFrom = from + head * BYTES_PER_ROW;
+    const skipTo = from + (rowCount - tail) * BYTES_PER_ROW;
+    let changedBytes = 0;
+    for (let i = skipFrom; i < skipTo; i++) {
+      if (byteChanged(original, modified, i)) changedBytes++;
+    }
+    rows.push({ skipped: { offset: skipFrom, bytes: skipTo - skipFrom, changed_bytes: changedBytes } });
+    for (let index = rowCount - tail; index < rowCount; index++) {
+      rows.push(hexRow(original, modified, from + index * BYTES_PER_ROW, length));
+    }
+  }
+  return rows;
+}
+
+// Hex view of the first `maxRegions` regions of a diff
+function hexView(original, modified, diff, maxRegions = 50) {
+  return diff.regions.slice(0, maxRegions).map((region) => ({
+    region,
+    rows: regionRows(original, modified, region),
+  }));
+}
+
+// The diff with only `limit` regions from `offset` on; `region_count` is the total and `truncated`
+// tells that regions were left out
+function limitRegions(diff, offset = 0, limit = MAX_LISTED_REGIONS) {
+  const regions = diff.regions.slice(offset, offset + limit);
+  return {
+    ...diff,
+    regions,
+    region_count: diff.regions.length,
+    offset,
+    truncated: regions.length < diff.regions.length,
+  };
+}
+
+module.exports = {
+  MAX_LISTED_REGIONS,
+  diffBuffers,
+  hexView,
+  limitRegions,
+};
@@ -0,0 +1,456 @@
+// Vehicle and ECU catalog: make → model → generation/engine → supported ECU families, with the tuning
+// services (see services.js) possible for each combination. Admins maintain it in the panel or by CSV
+// import and the job forms offer it as dependent dropdowns.
+const { csvField } = require('./audit');
+
+// Makes offered by the job forms before the catalog existed, added once to an empty catalog
+const DEFAULT_MAKES = [
+  'Audi', 'BMW', 'Citroen', 'Fiat', 'Ford', 'Honda', 'Hyundai', 'Jaguar', 'Kia', 'Land Rover', 'Mazda',
+  'Mercedes-Benz', 'Nissan', 'Opel', 'Peugeot', 'Porsche', 'Renault', 'Seat', 'Skoda', 'Toyota', 'Volvo',
+  'Volkswagen',
+];
+
+// Columns of an import file, one row per ECU family of an engine, followed by a column per service key
+// which takes 1/0, tak/nie or x
+const VEHICLE_COLUMNS = ['make', 'model', 'generation', 'engine', 'year_from', 'year_to', 'ecu_family'];
+const REQUIRED_COLUMNS = ['make', 'model', 'engine', 'ecu_family'];
+const MAX_IMPORT_ROWS = 5000;
+
+function text(value) {
+  return String(value === null || value === undefined ? '' : value).trim();
+}
+
+function isYes(value) {
+  return /^(1|x|t|tak|y|yes|true)$/i.test(text(value));
+}
+
+// "B8 2.0 TDI (2008-2015)"
+function engineLabel(engine) {
+  const name = [engine.generation, engine.engine].filter(Boolean).join(' ');
+  if (!engine.year_from && !engine.year_to) return name;
+  return `${name} (${engine.year_from || '…'}-${engine.year_to || '…'})`;
+}
+
+// Non-blank rows of a CSV file as { line, cells } - line is where the row starts in the file, for error
+// messages. The separator (comma or semicolon, as saved by spreadsheets with a Polish locale) is taken
+// from the header line.
+function parseCsv(content) {
+  const source = String(content).replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // Line breaks inside a quoted cell still count towards the line numbers
+        if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+  return rows.filter((row) => row.cells.some((value) => text(value)));
+}
+
+function parseYear(value) {
+  if (!text(value)) return { year: null };
+  const year = parseInt(text(value));
+  if (isNaN(year) || year < 1950 || year > 2100) return { problem: `nieprawidłowy rok "${text(value)}"` };
+  return { year };
+}
+
+// A catalog entry from form or CSV values: { entry } or { problem }
+function entryFromValues(values, serviceKeys) {
+  const entry = {
+    make: text(values.make).substring(0, 100),
+    model: text(values.model).substring(0, 100),
+    generation: text(values.generation).substring(0, 100),
+    engine: text(values.engine).substring(0, 100),
+    ecu_family: text(values.ecu_family).substring(0, 100),
+    options: serviceKeys.filter((key) => isYes(values[key])),
+  };
+  const missing = REQUIRED_COLUMNS.filter((column) => !entry[column]);
+  if (missing.length) return { problem: `brak wartości: ${missing.join(', ')}` };
+  const from = parseYear(values.year_from);
+  const to = parseYear(values.year_to);
+  if (from.problem || to.problem) return { problem: from.problem || to.problem };
+  if (from.year && to.year && from.year > to.year) return { problem: 'rok początkowy jest późniejszy niż końcowy' };
+  entry.year_from = from.year;
+  entry.year_to = to.year;
+  return { entry };
+}
+
+// Entries of an import file: { entries, errors } - errors are "Wiersz N: ..." messages
+function parseImport(content, serviceKeys) {
+  const columns = [...VEHICLE_COLUMNS, ...serviceKeys];
+  const rows = parseCsv(content);
+  if (rows.length < 2) return { entries: [], errors: ['Plik nie zawiera nagłówka i wpisów'] };
+  const header = rows[0].cells.map((column) => text(column).toLowerCase());
+  const unknown = header.filter((column) => !columns.includes(column));
+  const missing = REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+  if (unknown.length || missing.length) {
+    const errors = [];
+    if (unknown.length) errors.push(`Nieznane kolumny: ${unknown.join(', ')}`);
+    if (missing.length) errors.push(`Brak kolumn: ${missing.join(', ')}`);
+    errors.push(`Dozwolone kolumny: ${columns.join(', ')}`);
+    return { entries: [], errors };
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { entries: [], errors: [`Plik może zawierać najwyżej ${MAX_IMPORT_ROWS} wpisów`] };
+  }
+
+  const entries = [];
+  const errors = [];
+  rows.slice(1).forEach(({ line, cells }) => {
+    const values = {};
+    header.forEach((column, i) => {
+      values[column] = cells[i];
+    });
+    const { entry, problem } = entryFromValues(values, serviceKeys);
+    if (problem) {
+      errors.push(`Wiersz ${line}: ${problem}`);
+    } else {
+      entries.push(entry);
+    }
+  });
+  return { entries, errors };
+}
+
+function createCatalog(db, services) {
+  function serviceKeys() {
+    return services.list().map((service) => service.key);
+  }
+
+  function csvColumns() {
+    return [...VEHICLE_COLUMNS, ...serviceKeys()];
+  }
+
+  // An entry from the admin form: { entry } or { problem }
+  function parseEntry(values) {
+    return entryFromValues(values, serviceKeys());
+  }
+
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS catalog_makes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      )`
+    );
+    db.run(
+      `CREATE TABLE IF NOT EXISTS catalog_models (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        make_id INTEGER NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        UNIQUE (make_id, name),
+        FOREIGN KEY (make_id) REFERENCES catalog_makes(id)
+      )`
+    );
+    // Generation (e.g. B8, F30) is optional and stored as '' so it can be part of the unique key
+    db.run(
+      `CREATE TABLE IF NOT EXISTS catalog_engines (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        model_id INTEGER NOT NULL,
+        generation TEXT NOT NULL DEFAULT '' COLLATE NOCASE,
+        engine TEXT NOT NULL COLLATE NOCASE,
+        year_from INTEGER,
+        year_to INTEGER,
+        UNIQUE (model_id, generation, engine),
+        FOREIGN KEY (model_id) REFERENCES catalog_models(id)
+      )`
+    );
+    // options - JSON array of the keys of the services possible for the engine with this ECU
+    db.run(
+      `CREATE TABLE IF NOT EXISTS catalog_ecus (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        engine_id INTEGER NOT NULL,
+        ecu_family TEXT NOT NULL COLLATE NOCASE,
+        options TEXT NOT NULL DEFAULT '[]',
+        UNIQUE (engine_id, ecu_family),
+        FOREIGN KEY (engine_id) REFERENCES catalog_engines(id)
+      )`
+    );
+
+    db.get(`SELECT COUNT(*) AS count FROM catalog_makes`, (err, row) => {
+      if (err) return console.error('Error reading vehicle catalog:', err);
+      if (row.count > 0) return;
+      DEFAULT_MAKES.forEach((name) => db.run(`INSERT OR IGNORE INTO catalog_makes (name) VALUES (?)`, [name]));
+    });
+  }
+
+  function withOptions(ecu) {
+    return { ...ecu, options: JSON.parse(ecu.options || '[]') };
+  }
+
+  // Dropdown levels, each callback(err, rows)
+  function makes(callback) {
+    db.all(
+      `SELECT catalog_makes.id, catalog_makes.name,
+              (SELECT COUNT(*) FROM catalog_models WHERE catalog_models.make_id = catalog_makes.id) AS model_count
+       FROM catalog_makes ORDER BY catalog_makes.name`,
+      callback
+    );
+  }
+
+  function models(makeId, callback) {
+    db.all(`SELECT id, name FROM catalog_models WHERE make_id = ? ORDER BY name`, [makeId], callback);
+  }
+
+  function engines(modelId, callback) {
+    db.all(
+      `SELECT id, generation, engine, year_from, year_to FROM catalog_engines WHERE model_id = ?
+       ORDER BY generation, engine`,
+      [modelId],
+      (err, rows) => {
+        if (err) return callback(err);
+        callback(null, rows.map((engine) => ({ ...engine, label: engineLabel(engine) })));
+      }
+    );
+  }
+
+  function ecus(engineId, callback) {
+    db.all(`SELECT id, ecu_family, options FROM catalog_ecus WHERE engine_id = ? ORDER BY ecu_family`, [engineId], (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(withOptions));
+    });
+  }
+
+  const ENTRY_QUERY = `SELECT catalog_ecus.id, catalog_ecus.ecu_family, catalog_ecus.options,
+           catalog_engines.generation, catalog_engines.engine, catalog_engines.year_from, catalog_engines.year_to,
+           catalog_models.name AS model, catalog_makes.name AS make
+    FROM catalog_ecus
+    JOIN catalog_engines ON catalog_ecus.engine_id = catalog_engines.id
+    JOIN catalog_models ON catalog_engines.model_id = catalog_models.id
+    JOIN catalog_makes ON catalog_models.make_id = catalog_makes.id`;
+  const ENTRY_ORDER = `ORDER BY catalog_makes.name, catalog_models.name, catalog_engines.generation, catalog_engines.engine, catalog_ecus.ecu_family`;
+
+  // Flat rows of one make for the admin page, callback(err, entries)
+  function entries(makeId, callback) {
+    db.all(`${ENTRY_QUERY} WHERE catalog_makes.id = ? ${ENTRY_ORDER}`, [makeId], (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(withOptions));
+    });
+  }
+
+  function idOf(sql, params, callback) {
+    db.get(sql, params, (err, row) => callback(err, row && row.id));
+  }
+
+  // Add an entry, or replace the years and options of an existing one. callback(err)
+  function saveEntry(entry, callback) {
+    db.run(`INSERT OR IGNORE INTO catalog_makes (name) VALUES (?)`, [entry.make], (err) => {
+      if (err) return callback(err);
+      idOf(`SELECT id FROM catalog_makes WHERE name = ?`, [entry.make], (makeErr, makeId) => {
+        if (makeErr) return callback(makeErr);
+        db.run(`INSERT OR IGNORE INTO catalog_models (make_id, name) VALUES (?, ?)`, [makeId, entry.model], (modelErr) => {
+          if (modelErr) return callback(modelErr);
+          idOf(`SELECT id FROM catalog_models WHERE make_id = ? AND name = ?`, [makeId, entry.model], (idErr, modelId) => {
+            if (idErr) return callback(idErr);
+            db.run(
+              `INSERT INTO catalog_engines (model_id, generation, engine, year_from, year_to) VALUES (?, ?, ?, ?, ?)
+               ON CONFLICT (model_id, generation, engine) DO UPDATE SET year_from = excluded.year_from, year_to = excluded.year_to`,
+              [modelId, entry.generation, entry.engine, entry.year_from, entry.year_to],
+              (engineErr) => {
+                if (engineErr) return callback(engineErr);
+                idOf(
+                  `SELECT id FROM catalog_engines WHERE model_id = ? AND generation = ? AND engine = ?`,
+                  [modelId, entry.generation, entry.engine],
+                  (engineIdErr, engineId) => {
+                    if (engineIdErr) return callback(engineIdErr);
+                    db.run(
+                      `INSERT INTO catalog_ecus (engine_id, ecu_family, options) VALUES (?, ?, ?)
+                       ON CONFLICT (engine_id, ecu_family) DO UPDATE SET options = excluded.options`,
+                      [engineId, entry.ecu_family, JSON.stringify(entry.options)],
+                      callback
+                    );
+                  }
+                );
+              }
+            );
+          });
+        });
+      });
+    });
+  }
+
+  // Import a CSV file. Nothing is saved when a row is invalid. callback(err, { imported, errors })
+  function importCsv(content, callback) {
+    const { entries: parsed, errors } = parseImport(content, serviceKeys());
+    if (errors.length) return callback(null, { imported: 0, errors });
+    let index = 0;
+    const saveNext = (err) => {
+      if (err) return callback(err);
+      if (index >= parsed.length) return callback(null, { imported: parsed.length, errors: [] });
+      saveEntry(parsed[index++], saveNext);
+    };
+    saveNext(null);
+  }
+
+  // The whole catalog in the import format, callback(err, csv)
+  function exportCsv(callback) {
+    db.all(`${ENTRY_QUERY} ${ENTRY_ORDER}`, (err, rows) => {
+      if (err) return callback(err);
+      const columns = csvColumns();
+      const keys = serviceKeys();
+      const lines = [columns.join(',')];
+      rows.map(withOptions).forEach((row) => {
+        lines.push(
+          columns.map((column) => {
+            if (keys.includes(column)) return row.options.includes(column) ? '1' : '0';
+            return csvField(row[column]);
+          }).join(',')
+        );
+      });
+      callback(null, `${lines.join('\r\n')}\r\n`);
+    });
+  }
+
+  // Delete an ECU entry together with its engine and model when nothing else is left under them.
+  // callback(err, deleted entry or undefined)
+  function deleteEntry(id, callback) {
+    db.get(`${ENTRY_QUERY} WHERE catalog_ecus.id = ?`, [id], (err, entry) => {
+      if (err || !entry) return callback(err);
+      db.get(`SELECT engine_id FROM catalog_ecus WHERE id = ?`, [id], (ecuErr, ecu) => {
+        if (ecuErr) return callback(ecuErr);
+        db.run(`DELETE FROM catalog_ecus WHERE id = ?`, [id], (deleteErr) => {
+          if (deleteErr) return callback(deleteErr);
+          db.run(
+            `DELETE FROM catalog_engines WHERE id = ? AND NOT EXISTS (SELECT 1 FROM catalog_ecus WHERE engine_id = ?)`,
+            [ecu.engine_id, ecu.engine_id],
+            (engineErr) => {
+              if (engineErr) return callback(engineErr);
+              db.run(
+                `DELETE FROM catalog_models
+                 WHERE NOT EXISTS (SELECT 1 FROM catalog_engines WHERE catalog_engines.model_id = catalog_models.id)
+                   AND make_id = (SELECT id FROM catalog_makes WHERE name = ?)`,
+                [entry.make],
+                (modelErr) => callback(modelErr, withOptions(entry))
+              );
+            }
+          );
+        });
+      });
+    });
+  }
+
+  // Delete a make with everything under it, callback(err, deleted make or undefined)
+  function deleteMake(id, callback) {
+    db.get(`SELECT * FROM catalog_makes WHERE id = ?`, [id], (err, make) => {
+      if (err || !make) return callback(err);
+      const steps = [
+        `DELETE FROM catalog_ecus WHERE engine_id IN (SELECT catalog_engines.id FROM catalog_engines
+           JOIN catalog_models ON catalog_engines.model_id = catalog_models.id WHERE catalog_models.make_id = ?)`,
+        `DELETE FROM catalog_engines WHERE model_id IN (SELECT id FROM catalog_models WHERE make_id = ?)`,
+        `DELETE FROM catalog_models WHERE make_id = ?`,
+        `DELETE FROM catalog_makes WHERE id = ?`,
+      ];
+      let index = 0;
+      const runNext = (stepErr) => {
+        if (stepErr) return callback(stepErr);
+        if (index >= steps.length) return callback(null, make);
+        db.run(steps[index++], [id], runNext);
+      };
+      runNext(null);
+    });
+  }
+
+  // Check the vehicle of a job against the catalog. A job may name a vehicle or ECU that is not in the
+  // catalog; when it picked a catalog engine, that engine has to belong to its make and model, cover its
+  // year and, for a catalog ECU family, allow the selected options. Sets fields.vehicle_engine.
+  // callback(err, problem) - problem is a message for the user or null
+  function checkJobFields(fields, callback) {
+    fields.vehicle_engine = null;
+    if (!fields.catalog_engine_id) return callback(null, null);
+    db.get(
+      `SELECT catalog_engines.*, catalog_models.name AS model, catalog_makes.name AS make
+       FROM catalog_engines
+       JOIN catalog_models ON catalog_engines.model_id = catalog_models.id
+       JOIN catalog_makes ON catalog_models.make_id = catalog_makes.id
+       WHERE catalog_engines.id = ?`,
+      [fields.catalog_engine_id],
+      (err, engine) => {
+        if (err) return callback(err);
+        if (!engine) return callback(null, 'Wybrany silnik nie istnieje w katalogu');
+        if (
+          engine.make.toLowerCase() !== text(fields.vehicle_make).toLowerCase() ||
+          engine.model.toLowerCase() !== text(fields.vehicle_model).toLowerCase()
+        ) {
+          return callback(null, 'Wybrany silnik nie pasuje do marki i modelu pojazdu');
+        }
+        const year = fields.vehicle_year;
+        if (year && ((engine.year_from && year < engine.year_from) || (engine.year_to && year > engine.year_to))) {
+          return callback(null, `Rok produkcji ${year} nie pasuje do silnika ${engineLabel(engine)}`);
+        }
+        fields.vehicle_engine = engineLabel(engine);
+
+        db.get(
+          `SELECT * FROM catalog_ecus WHERE engine_id = ? AND ecu_family = ?`,
+          [engine.id, text(fields.ecu_controller)],
+          (ecuErr, ecu) => {
+            if (ecuErr || !ecu) return callback(ecuErr, null);
+            const possible = JSON.parse(ecu.options || '[]');
+            const refused = services.list().filter((service) => fields.options[service.key] && !possible.includes(service.key));
+            if (refused.length) {
+              return callback(
+                null,
+                `Sterownik ${ecu.ecu_family} w tym pojeździe nie obsługuje: ${refused.map((service) => service.label).join(', ')}`
+              );
+            }
+            callback(null, null);
+          }
+        );
+      }
+    );
+  }
+
+  return {
+    createTables,
+    csvColumns,
+    parseEntry,
+    makes,
+    models,
+    engines,
+    ecus,
+    entries,
+    saveEntry,
+    importCsv,
+    exportCsv,
+    deleteEntry,
+    deleteMake,
+    checkJobFields,
+  };
+}
+
+module.exports = {
+  parseCsv,
+  createCatalog,
+};
@@ -0,0 +1,350 @@
+// Library of diagnostic trouble codes (code, description, vehicle system, ECU families that typically
+// report it) used to check the codes clients give with DTC removal, to suggest codes in the job forms and
+// to describe them to the tuner. Codes a job asks to remove are also kept as rows of job_dtc_codes.
+const { csvField } = require('./audit');
+const { parseCsv } = require('./catalog');
+
+// OBD codes (P2425) or the hex/decimal numbers some manufacturers' tools show
+const DTC_PATTERN = /^([PBCU][0-9A-F]{4}|[0-9A-F]{4,6})$/;
+// Most codes one job can ask to remove
+const MAX_JOB_CODES = 30;
+
+// Codes added once to an empty library - the ones most often removed with DPF, EGR and AdBlue
+const DEFAULT_CODES = [
+  { code: 'P2002', description: 'Sprawność filtra cząstek stałych poniżej progu (bank 1)', system: 'DPF', ecu_families: 'EDC17, MD1, SID' },
+  { code: 'P2452', description: 'Czujnik ciśnienia różnicowego DPF - usterka obwodu', system: 'DPF', ecu_families: 'EDC17, MD1' },
+  { code: 'P2453', description: 'Czujnik ciśnienia różnicowego DPF - zakres/działanie', system: 'DPF', ecu_families: 'EDC17, MD1' },
+  { code: 'P244A', description: 'Zbyt niska różnica ciśnień na filtrze cząstek stałych', system: 'DPF', ecu_families: 'EDC17, MD1' },
+  { code: 'P2463', description: 'Nadmierne nagromadzenie sadzy w filtrze cząstek stałych', system: 'DPF', ecu_families: 'EDC17, MD1, SID' },
+  { code: 'P0400', description: 'Usterka układu recyrkulacji spalin (EGR)', system: 'EGR', ecu_families: 'EDC16, EDC17' },
+  { code: 'P0401', description: 'Niewystarczający przepływ w układzie EGR', system: 'EGR', ecu_families: 'EDC16, EDC17, SID' },
+  { code: 'P0403', description: 'Obwód sterowania zaworu EGR - usterka', system: 'EGR', ecu_families: 'EDC16, EDC17' },
+  { code: 'P2425', description: 'Obwód sterowania zaworu chłodnicy EGR - przerwa', system: 'EGR', ecu_families: 'EDC17' },
+  { code: 'P20E8', description: 'Zbyt niskie ciśnienie płynu AdBlue', system: 'AdBlue/SCR', ecu_families: 'EDC17, MD1' },
+  { code: 'P20EE', description: 'Sprawność katalizatora SCR poniżej progu (bank 1)', system: 'AdBlue/SCR', ecu_families: 'EDC17, MD1' },
+  { code: 'P2BAD', description: 'Nadmierna emisja NOx - usterka układu', system: 'AdBlue/SCR', ecu_families: 'EDC17, MD1' },
+  { code: 'P0420', description: 'Sprawność katalizatora poniżej progu (bank 1)', system: 'Katalizator', ecu_families: 'MED17, ME7, SIMOS' },
+  { code: 'P0513', description: 'Nieprawidłowy klucz immobilizera', system: 'IMMO', ecu_families: 'EDC16, EDC17, ME7, MED17' },
+  { code: 'U0100', description: 'Utrata komunikacji ze sterownikiem silnika', system: 'Komunikacja', ecu_families: '' },
+];
+
+const CSV_COLUMNS = ['code', 'description', 'system', 'ecu_families'];
+const REQUIRED_COLUMNS = ['code', 'description'];
+const MAX_IMPORT_ROWS = 20000;
+const PER_PAGE = 100;
+
+function text(value) {
+  return String(value === null || value === undefined ? '' : value).trim();
+}
+
+function like(term) {
+  return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Codes from a list typed by a client ("p2425, P0401 u0100"), upper-cased and without repeats:
+// { codes, invalid } - invalid is the first code that does not look like a DTC
+function parseCodes(value) {
+  const codes = [];
+  let invalid = null;
+  text(value)
+    .toUpperCase()
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .forEach((code) => {
+      if (!DTC_PATTERN.test(code)) {
+        if (!invalid) invalid = code;
+      } else if (!codes.includes(code)) {
+        codes.push(code);
+      }
+    });
+  return { codes, invalid };
+}
+
+// A library entry from form or CSV values: { entry } or { problem }
+function entryFromValues(values) {
+  const entry = {
+    code: text(values.code).toUpperCase(),
+    description: text(values.description).substring(0, 300),
+    system: text(values.system).substring(0, 100),
+    ecu_families: text(values.ecu_families)
+      .split(/\s*[,;]\s*/)
+      .filter(Boolean)
+      .join(', ')
+      .substring(0, 300),
+  };
+  const missing = REQUIRED_COLUMNS.filter((column) => !entry[column]);
+  if (missing.length) return { problem: `brak wartości: ${missing.join(', ')}` };
+  if (!DTC_PATTERN.test(entry.code)) return { problem: `nieprawidłowy kod "${entry.code}"` };
+  return { entry };
+}
+
+// Entries of an import file: { entries, errors } - errors are "Wiersz N: ..." messages
+function parseImport(content) {
+  const rows = parseCsv(content);
+  if (rows.length < 2) return { entries: [], errors: ['Plik nie zawiera nagłówka i wpisów'] };
+  const header = rows[0].cells.map((column) => text(column).toLowerCase());
+  const unknown = header.filter((column) => !CSV_COLUMNS.includes(column));
+  const missing = REQUIRED_COLUMNS.filter((column) => !header.includes(column));
+  if (unknown.length || missing.length) {
+    const errors = [];
+    if (unknown.length) errors.push(`Nieznane kolumny: ${unknown.join(', ')}`);
+    if (missing.length) errors.push(`Brak kolumn: ${missing.join(', ')}`);
+    errors.push(`Dozwolone kolumny: ${CSV_COLUMNS.join(', ')}`);
+    return { entries: [], errors };
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { entries: [], errors: [`Plik może zawierać najwyżej ${MAX_IMPORT_ROWS} wpisów`] };
+  }
+
+  const entries = [];
+  const errors = [];
+  rows.slice(1).forEach(({ line, cells }) => {
+    const values = {};
+    header.forEach((column, i) => {
+      values[column] = cells[i];
+    });
+    const { entry, problem } = entryFromValues(values);
+    if (problem) {
+      errors.push(`Wiersz ${line}: ${problem}`);
+    } else {
+      entries.push(entry);
+    }
+  });
+  return { entries, errors };
+}
+
+// Normalise the filters of the admin library page from the query string
+function parseDtcFilters(query) {
+  const page = parseInt(query.page);
+  return {
+    q: text(query.q).substring(0, 100),
+    system: text(query.system).substring(0, 100),
+    page: page > 0 ? page : 1,
+  };
+}
+
+// Query string of the filters, used by paging links
+function dtcQueryString(filters, overrides = {}) {
+  const params = new URLSearchParams();
+  const values = { ...filters, ...overrides };
+  Object.keys(values).forEach((key) => {
+    if (values[key] && !(key === 'page' && values[key] === 1)) params.set(key, values[key]);
+  });
+  return params.toString();
+}
+
+function createDtcLibrary(db) {
+  // An entry from the admin form: { entry } or { problem }
+  function parseEntry(values) {
+    return entryFromValues(values);
+  }
+
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS dtc_codes (
+        code TEXT PRIMARY KEY,
+        description TEXT NOT NULL,
+        system TEXT NOT NULL DEFAULT '',
+        ecu_families TEXT NOT NULL DEFAULT '',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+    db.run(
+      `CREATE TABLE IF NOT EXISTS job_dtc_codes (
+        job_id INTEGER NOT NULL,
+        code TEXT NOT NULL,
+        PRIMARY KEY (job_id, code),
+        FOREIGN KEY (job_id) REFERENCES jobs(id)
+      )`
+    );
+    db.run(`CREATE INDEX IF NOT EXISTS idx_job_dtc_codes_code ON job_dtc_codes (code)`);
+
+    db.get(`SELECT COUNT(*) AS count FROM dtc_codes`, (err, row) => {
+      if (err) return console.error('Error reading DTC library:', err);
+      if (row.count > 0) return;
+      DEFAULT_CODES.forEach((entry) => {
+        db.run(
+          `INSERT OR IGNORE INTO dtc_codes (code, description, system, ecu_families) VALUES (?, ?, ?, ?)`,
+          [entry.code, entry.description, entry.system, entry.ecu_families]
+        );
+      });
+    });
+
+    // Jobs from before the per-job list kept their codes only as the free text of options.dtc_codes
+    db.all(
+      `SELECT id, options FROM jobs WHERE options LIKE '%"dtc_codes"%'
+         AND NOT EXISTS (SELECT 1 FROM job_dtc_codes WHERE job_dtc_codes.job_id = jobs.id)`,
+      (err, jobs) => {
+        if (err) return console.error('Error reading job DTC codes:', err);
+        jobs.forEach((job) => {
+          const options = JSON.parse(job.options || '{}');
+          if (!options.dtc_off) return;
+          setJobCodes(job.id, parseCodes(options.dtc_codes).codes, (setErr) => {
+            if (setErr) console.error('Error saving job DTC codes:', setErr);
+          });
+        });
+      }
+    );
+  }
+
+  // Suggestions for the job forms: codes starting with the term, then descriptions containing it, codes
+  // typical for the job's ECU first. callback(err, rows)
+  function suggest(term, ecuController, callback) {
+    const value = text(term);
+    if (!value) return callback(null, []);
+    const prefix = `${value.toUpperCase().replace(/[\\%_]/g, '\\$&')}%`;
+    const ecu = text(ecuController).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    db.all(
+      `SELECT code, description, system, ecu_families FROM dtc_codes
+       WHERE code LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\'
+       ORDER BY code LIKE ? ESCAPE '\\' DESC, code LIMIT 50`,
+      [prefix, like(value), prefix],
+      (err, rows) => {
+        if (err) return callback(err);
+        const typical = (row) =>
+          !!ecu && row.ecu_families.split(', ').some((family) => family && ecu.includes(family.toUpperCase().replace(/[^A-Z0-9]/g, '')));
+        const ranked = rows.filter(typical).concat(rows.filter((row) => !typical(row)));
+        callback(null, ranked.slice(0, 10).map((row) => ({ code: row.code, description: row.description, system: row.system })));
+      }
+    );
+  }
+
+  function buildWhere(filters) {
+    const where = [];
+    const params = [];
+    if (filters.q) {
+      where.push(`(code LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\' OR ecu_families LIKE ? ESCAPE '\\')`);
+      params.push(like(filters.q), like(filters.q), like(filters.q));
+    }
+    if (filters.system) {
+      where.push('system = ?');
+      params.push(filters.system);
+    }
+    return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+  }
+
+  // One page of the admin library: callback(err, entries, pagination)
+  function search(filters, callback) {
+    const { sql, params } = buildWhere(filters);
+    db.get(`SELECT COUNT(*) AS total FROM dtc_codes ${sql}`, params, (err, row) => {
+      if (err) return callback(err);
+      const pages = Math.max(Math.ceil(row.total / PER_PAGE), 1);
+      const page = Math.min(filters.page, pages);
+      db.all(
+        `SELECT dtc_codes.*, (SELECT COUNT(*) FROM job_dtc_codes WHERE job_dtc_codes.code = dtc_codes.code) AS job_count
+         FROM dtc_codes ${sql} ORDER BY code LIMIT ? OFFSET ?`,
+        [...params, PER_PAGE, (page - 1) * PER_PAGE],
+        (listErr, entries) => {
+          if (listErr) return callback(listErr);
+          callback(null, entries, { page, pages, total: row.total });
+        }
+      );
+    });
+  }
+
+  // Systems in use, for the filter of the admin page, callback(err, names)
+  function systems(callback) {
+    db.all(`SELECT DISTINCT system FROM dtc_codes WHERE system <> '' ORDER BY system`, (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map((row) => row.system));
+    });
+  }
+
+  function find(code, callback) {
+    db.get(`SELECT * FROM dtc_codes WHERE code = ?`, [text(code).toUpperCase()], callback);
+  }
+
+  // Add an entry, or replace the description of an existing code. callback(err)
+  function saveEntry(entry, callback) {
+    db.run(
+      `INSERT INTO dtc_codes (code, description, system, ecu_families) VALUES (?, ?, ?, ?)
+       ON CONFLICT (code) DO UPDATE SET description = excluded.description, system = excluded.system,
+         ecu_families = excluded.ecu_families, updated_at = CURRENT_TIMESTAMP`,
+      [entry.code, entry.description, entry.system, entry.ecu_families],
+      (err) => callback(err)
+    );
+  }
+
+  // Import a CSV file. Nothing is saved when a row is invalid. callback(err, { imported, errors })
+  function importCsv(content, callback) {
+    const { entries, errors } = parseImport(content);
+    if (errors.length) return callback(null, { imported: 0, errors });
+    let index = 0;
+    const saveNext = (err) => {
+      if (err) return callback(err);
+      if (index >= entries.length) return callback(null, { imported: entries.length, errors: [] });
+      saveEntry(entries[index++], saveNext);
+    };
+    saveNext(null);
+  }
+
+  // The whole library in the import format, callback(err, csv)
+  function exportCsv(callback) {
+    db.all(`SELECT * FROM dtc_codes ORDER BY code`, (err, rows) => {
+      if (err) return callback(err);
+      const lines = [CSV_COLUMNS.join(',')];
+      rows.forEach((row) => {
+        lines.push(CSV_COLUMNS.map((column) => csvField(row[column])).join(','));
+      });
+      callback(null, `${lines.join('\r\n')}\r\n`);
+    });
+  }
+
+  // callback(err, deleted entry or undefined). Jobs keep the code, only its description is gone.
+  function deleteEntry(code, callback) {
+    find(code, (err, entry) => {
+      if (err || !entry) return callback(err);
+      db.run(`DELETE FROM dtc_codes WHERE code = ?`, [entry.code], (deleteErr) => callback(deleteErr, entry));
+    });
+  }
+
+  // Replace the codes a job asks to remove, callback(err)
+  function setJobCodes(jobId, codes, callback) {
+    db.run(`DELETE FROM job_dtc_codes WHERE job_id = ?`, [jobId], (err) => {
+      if (err) return callback(err);
+      let index = 0;
+      const insertNext = (insertErr) => {
+        if (insertErr) return callback(insertErr);
+        if (index >= codes.length) return callback(null);
+        db.run(`INSERT OR IGNORE INTO job_dtc_codes (job_id, code) VALUES (?, ?)`, [jobId, codes[index++]], insertNext);
+      };
+      insertNext(null);
+    });
+  }
+
+  // Codes of a job with their library descriptions (null for codes not in the library), callback(err, rows)
+  function jobCodes(jobId, callback) {
+    db.all(
+      `SELECT job_dtc_codes.code, dtc_codes.description, dtc_codes.system
+       FROM job_dtc_codes LEFT JOIN dtc_codes ON dtc_codes.code = job_dtc_codes.code
+       WHERE job_dtc_codes.job_id = ? ORDER BY job_dtc_codes.rowid`,
+      [jobId],
+      callback
+    );
+  }
+
+  return {
+    createTables,
+    parseEntry,
+    suggest,
+    search,
+    systems,
+    find,
+    saveEntry,
+    importCsv,
+    exportCsv,
+    deleteEntry,
+    setJobCodes,
+    jobCodes,
+  };
+}
+
+module.exports = {
+  DTC_PATTERN,
+  MAX_JOB_CODES,
+  CSV_COLUMNS,
+  parseCodes,
+  parseDtcFilters,
+  dtcQueryString,
+  createDtcLibrary,
+};
@@ -0,0 +1,154 @@
+// ECU binary fingerprinting - size, checksums and part numbers detected in uploaded dumps
+const crypto = require('crypto');
+const fs = require('fs');
+
+// CRC32 lookup table (IEEE 802.3 polynomial, same as zip/png)
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+// Part numbers are stored in the flash as plain ASCII, so we only search printable runs
+function extractStrings(buffer, minLength = 6) {
+  const strings = [];
+  let current = '';
+  for (let i = 0; i < buffer.length; i++) {
+    const byte = buffer[i];
+    if (byte >= 0x20 && byte <= 0x7e) {
+      current += String.fromCharCode(byte);
+    } else {
+      if (current.length >= minLength) strings.push(current);
+      current = '';
+    }
+  }
+  if (current.length >= minLength) strings.push(current);
+  return strings;
+}
+
+// Known ECU suppliers with the identifiers they put in their software.
+// `names` are plain-text markers, the rest are regexes matched against the extracted strings.
+const ECU_SUPPLIERS = [
+  {
+    manufacturer: 'Bosch',
+    names: ['BOSCH'],
+    family: /\b(EDC1[5-7][A-Z]{0,2}\d{0,2}|MED?C?1[5-7](?:\.\d{1,2}){0,2}|MD1C[A-Z]\d{1,3}|MG1C[A-Z]\d{1,3})\b/,
+    hw_number: /\b(02[68]1\d{6})\b/,
+    sw_number: /\b(1037\d{6})\b/,
+  },
+  {
+    manufacturer: 'Continental',
+    names: ['CONTINENTAL', 'SIEMENS', 'VDO'],
+    family: /\b(SID\s?\d{3}|SIMOS\s?\d{1,2}(?:\.\d{1,2})?|PCR2\.1|EMS\d{4})\b/,
+    hw_number: /\b(5WS4\d{4}[A-Z]?|5WP4\d{4}|A2C\d{8,9})\b/,
+    sw_number: /\b(S[A-Z0-9]{2}\d{3}[A-Z]\d{7})\b/,
+  },
+  {
+    manufacturer: 'Delphi',
+    names: ['DELPHI'],
+    family: /\b(DCM\d\.\d{1,2}[A-Z]?|DDCR|CRD\d(?:\.\d{1,2})?)\b/,
+    hw_number: /\b(28\d{6})\b/,
+    sw_number: /\b(9\d{7})\b/,
+  },
+];
+
+// OEM calibration / software IDs (VAG part numbers, PSA calibration numbers)
+const CALIBRATION_ID = /\b([0-9][0-9A-Z]{2}9(?:06|07)\d{3}[A-Z]{0,3}|9[68]\d{6}80)\b/;
+
+function firstMatch(strings, regex) {
+  for (const str of strings) {
+    const match = str.match(regex);
+    if (match) return match[1].replace(/\s+/g, '');
+  }
+  return null;
+}
+
+function detectEcu(strings) {
+  const upper = strings.map((s) => s.toUpperCase());
+  let best = null;
+  let bestScore = 0;
+
+  ECU_SUPPLIERS.forEach((supplier) => {
+    const found = {
+      family: firstMatch(upper, supplier.family),
+      hw_number: firstMatch(upper, supplier.hw_number),
+      sw_number: firstMatch(upper, supplier.sw_number),
+    };
+    const named = upper.some((s) => supplier.names.some((name) => s.includes(name)));
+    // The family string or supplier name is required - bare numbers alone are too generic
+    if (!found.family && !named) return;
+    const score = (found.family ? 3 : 0) + (named ? 2 : 0) + (found.hw_number ? 1 : 0) + (found.sw_number ? 1 : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      best = { manufacturer: supplier.manufacturer, ...found };
+    }
+  });
+
+  return best || { manufacturer: null, family: null, hw_number: null, sw_number: null };
+}
+
+// Fingerprint an in-memory binary
+function fingerprintBuffer(buffer) {
+  const strings = extractStrings(buffer);
+  const ecu = detectEcu(strings);
+  return {
+    size: buffer.length,
+    crc32: crc32(buffer),
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    manufacturer: ecu.manufacturer,
+    family: ecu.family,
+    hw_number: ecu.hw_number,
+    sw_number: ecu.sw_number,
+    calibration_id: firstMatch(strings.map((s) => s.toUpperCase()), CALIBRATION_ID),
+  };
+}
+
+// Fingerprint a file on disk, callback(err, fingerprint)
+function fingerprintFile(filePath, callback) {
+  fs.readFile(filePath, (err, buffer) => {
+    if (err) return callback(err);
+    callback(null, fingerprintBuffer(buffer));
+  });
+}
+
+function normalizeEcuName(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Compare the detected ECU with what the client typed.
+// Returns null when nothing was detected, otherwise true/false.
+function matchesDeclaredEcu(fingerprint, declared) {
+  if (!fingerprint || (!fingerprint.family && !fingerprint.manufacturer)) return null;
+  const typed = normalizeEcuName(declared);
+  if (!typed) return false;
+
+  if (fingerprint.family) {
+    const family = normalizeEcuName(fingerprint.family);
+    return typed.includes(family) || (typed.length >= 4 && family.includes(typed));
+  }
+
+  const supplier = ECU_SUPPLIERS.find((s) => s.manufacturer === fingerprint.manufacturer);
+  const names = supplier ? supplier.names : [normalizeEcuName(fingerprint.manufacturer)];
+  return names.some((name) => typed.includes(name));
+}
+
+module.exports = {
+  crc32,
+  fingerprintBuffer,
+  fingerprintFile,
+  matchesDeclaredEcu,
+};
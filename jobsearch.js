@@ -0,0 +1,179 @@
+// Filtering, sorting and paging of job lists (/admin/jobs and the client's /jobs/history).
+// Filters come from the query string, values only ever reach SQL as bound parameters.
+const { OPEN_STATUSES } = require('./workflow');
+
+const SORT_COLUMNS = {
+  created_at: 'jobs.created_at',
+  updated_at: 'jobs.updated_at',
+  id: 'jobs.id',
+  status: 'jobs.status',
+  vehicle: 'jobs.vehicle_make',
+  client: 'users.email',
+  assignee: 'assignees.username',
+};
+
+const PER_PAGE_CHOICES = [25, 50, 100];
+
+// Query string keys kept in paging/sorting links and saved presets
+const FILTER_KEYS = ['q', 'status', 'client', 'organization', 'assignee', 'make', 'model', 'year_from', 'year_to', 'ecu', 'options', 'date_from', 'date_to', 'sort', 'dir', 'per_page', 'page'];
+
+// Values left out of links because they are the defaults anyway
+const DEFAULTS = { sort: 'created_at', dir: 'desc', per_page: PER_PAGE_CHOICES[0], page: 1 };
+
+function text(value) {
+  return typeof value === 'string' ? value.trim().substring(0, 100) : '';
+}
+
+function date(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text(value)) ? text(value) : '';
+}
+
+function year(value) {
+  const parsed = parseInt(value);
+  return parsed >= 1900 && parsed <= 2100 ? parsed : null;
+}
+
+function like(term) {
+  return `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// Normalise query string parameters. `optionKeys` and `statuses` are the values accepted for those filters,
+// status 'open' matches every job still waiting for or being worked on by a tuner.
+function parseJobFilters(query, optionKeys, statuses) {
+  const options = [].concat(query.options || []).filter((key) => optionKeys.includes(key));
+  const perPage = parseInt(query.per_page);
+  return {
+    q: text(query.q),
+    status: query.status === 'open' || statuses.includes(query.status) ? query.status : '',
+    client: text(query.client),
+    organization: /^\d+$/.test(query.organization) ? query.organization : '',
+    assignee: ['me', 'none'].includes(query.assignee) || /^\d+$/.test(query.assignee) ? query.assignee : '',
+    make: text(query.make),
+    model: text(query.model),
+    year_from: year(query.year_from),
+    year_to: year(query.year_to),
+    ecu: text(query.ecu),
+    options,
+    date_from: date(query.date_from),
+    date_to: date(query.date_to),
+    sort: SORT_COLUMNS[query.sort] ? query.sort : DEFAULTS.sort,
+    dir: query.dir === 'asc' ? 'asc' : 'desc',
+    per_page: PER_PAGE_CHOICES.includes(perPage) ? perPage : DEFAULTS.per_page,
+    page: Math.max(parseInt(query.page) || 1, 1),
+  };
+}
+
+// WHERE clause and ORDER BY for the filters. The query must join the owner as `users` and the assigned
+// tuner as `assignees`. `scope.userId` limits the list to one client's jobs (and disables the organisation
+// and assignee filters), together with `scope.organizationId` to the jobs shared in the client's organisation.
+// `scope.viewerId` is the admin the assignee filter 'me' refers to.
+function buildJobQuery(filters, scope) {
+  const conditions = [];
+  const params = [];
+
+  if (scope.userId && scope.organizationId) {
+    conditions.push('(jobs.user_id = ? OR jobs.organization_id = ?)');
+    params.push(scope.userId, scope.organizationId);
+  } else if (scope.userId) {
+    conditions.push('jobs.user_id = ?');
+    params.push(scope.userId);
+  }
+  // Clients only filter by who ordered the job inside their organisation
+  if (filters.client && (!scope.userId || scope.organizationId)) {
+    conditions.push(`(users.email LIKE ? ESCAPE '\\' OR users.username LIKE ? ESCAPE '\\')`);
+    params.push(like(filters.client), like(filters.client));
+  }
+  if (!scope.userId) {
+    if (filters.organization) {
+      conditions.push('jobs.organization_id = ?');
+      params.push(parseInt(filters.organization));
+    }
+    if (filters.assignee === 'none') {
+      conditions.push('jobs.assigned_to IS NULL');
+    } else if (filters.assignee) {
+      conditions.push('jobs.assigned_to = ?');
+      params.push(filters.assignee === 'me' ? scope.viewerId : parseInt(filters.assignee));
+    }
+  }
+  if (filters.status === 'open') {
+    conditions.push(`jobs.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})`);
+    params.push(...OPEN_STATUSES);
+  } else if (filters.status) {
+    conditions.push('jobs.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.make) {
+    conditions.push(`jobs.vehicle_make LIKE ? ESCAPE '\\'`);
+    params.push(like(filters.make));
+  }
+  if (filters.model) {
+    conditions.push(`jobs.vehicle_model LIKE ? ESCAPE '\\'`);
+    params.push(like(filters.model));
+  }
+  if (filters.year_from) {
+    conditions.push('jobs.vehicle_year >= ?');
+    params.push(filters.year_from);
+  }
+  if (filters.year_to) {
+    conditions.push('jobs.vehicle_year <= ?');
+    params.push(filters.year_to);
+  }
+  if (filters.ecu) {
+    conditions.push(`(jobs.ecu_controller LIKE ? ESCAPE '\\' OR jobs.ecu_detected_family LIKE ? ESCAPE '\\')`);
+    params.push(like(filters.ecu), like(filters.ecu));
+  }
+  filters.options.forEach((key) => {
+    conditions.push('json_extract(jobs.options, ?) = 1');
+    params.push(`$.${key}`);
+  });
+  if (filters.date_from) {
+    conditions.push('jobs.created_at >= ?');
+    params.push(filters.date_from);
+  }
+  if (filters.date_to) {
+    conditions.push(`jobs.created_at < date(?, '+1 day')`);
+    params.push(filters.date_to);
+  }
+  // Every word has to appear in the notes, the uploaded file names or be the job number
+  filters.q
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 5)
+    .forEach((term) => {
+      conditions.push(
+        `(jobs.notes LIKE ? ESCAPE '\\' OR jobs.original_filename LIKE ? ESCAPE '\\'
+          OR EXISTS (SELECT 1 FROM job_files WHERE job_files.job_id = jobs.id AND job_files.original_filename LIKE ? ESCAPE '\\')
+          OR CAST(jobs.id AS TEXT) = ?)`
+      );
+      params.push(like(term), like(term), like(term), term.replace(/^#/, ''));
+    });
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    orderBy: `${SORT_COLUMNS[filters.sort]} ${filters.dir.toUpperCase()}, jobs.id ${filters.dir.toUpperCase()}`,
+  };
+}
+
+// Query string of the filters with some values replaced, for paging and sorting links
+function filterQueryString(filters, overrides = {}) {
+  const values = { ...filters, ...overrides };
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach((key) => {
+    const value = values[key];
+    if (Array.isArray(value)) {
+      value.forEach((item) => params.append(key, item));
+    } else if (value !== '' && value !== null && value !== undefined && value !== DEFAULTS[key]) {
+      params.append(key, value);
+    }
+  });
+  return params.toString();
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  PER_PAGE_CHOICES,
+  parseJobFilters,
+  buildJobQuery,
+  filterQueryString,
+};
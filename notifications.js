@@ -0,0 +1,378 @@
+// Notification subsystem - events are queued in the outbox table and delivered through
+// the channels enabled for them in /admin/notifications, with retries and backoff.
+const nodemailer = require('nodemailer');
+
+const EVENTS = {
+  new_job: {
+    label: 'Nowe zadanie',
+    title: 'Nowe zadanie ECU',
+    message: (d) => `Nowe zadanie!\nUżytkownik: ${d.username}\nPlik: ${d.original_filename}`,
+  },
+  problem_report: {
+    label: 'Zgłoszenie problemu',
+    title: 'Problem ze zleceniem ECU',
+    message: (d) => {
+      const description = (d.description || '').trim();
+      const shortDescription = description.length > 200 ? `${description.substring(0, 200)}...` : description;
+      return `Zgłoszono problem!\nUżytkownik: ${d.username}\nPlik: ${d.original_filename}\nOpis: ${shortDescription}`;
+    },
+    sound: 'persistent',
+  },
+  job_completed: {
+    label: 'Zadanie zakończone',
+    title: 'Zadanie ECU zakończone',
+    message: (d) => `Zadanie #${d.job_id} zostało zakończone.\nPlik: ${d.original_filename}`,
+  },
+  new_message: {
+    label: 'Nowa wiadomość w czacie',
+    title: 'Nowa wiadomość',
+    message: (d) => `Nowa wiadomość do zadania #${d.job_id} od ${d.username}:\n${d.message}`,
+  },
+  corrected_file: {
+    label: 'Przesłano poprawiony plik',
+    title: 'Poprawiony plik ECU',
+    message: (d) => `Przesłano poprawiony plik (v${d.version}) do zadania #${d.job_id}.\nPlik: ${d.original_filename}`,
+  },
+  // Sent to the client who owns the job - only channels with a per-recipient address make sense
+  client_job_completed: {
+    label: 'Klient: plik gotowy do pobrania',
+    title: 'Twój plik jest gotowy',
+    message: (d) => `Twoje zlecenie #${d.job_id} (${d.original_filename}) zostało zakończone.\nPlik możesz pobrać w historii zadań.`,
+    channels: ['email'],
+  },
+  client_corrected_file: {
+    label: 'Klient: poprawiony plik',
+    title: 'Poprawiony plik jest gotowy',
+    message: (d) => `Do Twojego zlecenia #${d.job_id} (${d.original_filename}) dodano poprawiony plik (wersja ${d.version}).`,
+    channels: ['email'],
+  },
+  // One-time links for account self-service, sent to the address being verified or the account's address.
+  // `secret` names data that is removed from the outbox once the message is sent.
+  account_verify_email: {
+    label: 'Konto: potwierdzenie adresu email',
+    title: 'Potwierdź adres email',
+    message: (d) => `Witaj ${d.username}!\nAby potwierdzić adres email, otwórz link:\n${d.link}\n\nLink jest ważny przez ${d.hours} h.`,
+    channels: ['email'],
+    secret: 'link',
+  },
+  account_reset_password: {
+    label: 'Konto: reset hasła',
+    title: 'Ustaw nowe hasło',
+    message: (d) =>
+      `Otrzymaliśmy prośbę o ustawienie nowego hasła do konta ${d.username}.\nAby ustawić hasło, otwórz link:\n${d.link}\n\n` +
+      `Link jest ważny przez ${d.hours} h. Jeśli to nie Ty, zignoruj tę wiadomość.`,
+    channels: ['email'],
+    secret: 'link',
+  },
+};
+
+// Channels deliver a rendered notification { title, message, event, data, recipient }
+// and return a promise that rejects on failure, so the outbox can retry.
+const CHANNELS = {
+  pushover: {
+    label: 'Pushover',
+    configured: () => !!(process.env.PUSHOVER_USER_KEY && process.env.PUSHOVER_APP_TOKEN),
+    send: (n) =>
+      postOrThrow(process.env.PUSHOVER_API_URL || 'https://api.pushover.net/1/messages.json', {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          token: process.env.PUSHOVER_APP_TOKEN,
+          user: process.env.PUSHOVER_USER_KEY,
+          message: n.message,
+          title: n.title,
+          sound: (EVENTS[n.event] && EVENTS[n.event].sound) || 'pushover',
+        }),
+      }),
+  },
+  email: {
+    label: 'Email (SMTP)',
+    configured: () => !!process.env.SMTP_HOST,
+    send: (n) => {
+      const to = n.recipient || process.env.NOTIFY_EMAIL_TO;
+      if (!to) {
+        return Promise.reject(new Error('Brak adresata - ustaw NOTIFY_EMAIL_TO'));
+      }
+      return getMailer().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER || 'serwis@localhost',
+        to,
+        subject: n.title,
+        text: n.message,
+      });
+    },
+  },
+  webhook: {
+    label: 'Webhook',
+    configured: () => !!process.env.NOTIFY_WEBHOOK_URL,
+    send: (n) =>
+      postOrThrow(process.env.NOTIFY_WEBHOOK_URL, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: n.event,
+          title: n.title,
+          message: n.message,
+          data: n.data,
+          sent_at: new Date().toISOString(),
+        }),
+      }),
+  },
+  telegram: {
+    label: 'Telegram',
+    configured: () => !!(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID),
+    send: (n) =>
+      postOrThrow(`${process.env.TELEGRAM_API_URL || 'https://api.telegram.org'}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          chat_id: process.env.TELEGRAM_CHAT_ID,
+          text: `${n.title}\n\n${n.message}`,
+        }),
+      }),
+  },
+};
+
+// Enabled out of the box, matching the previous hardcoded Pushover behaviour
+const DEFAULT_ENABLED = [
+  'new_job:pushover',
+  'problem_report:pushover',
+  'client_job_completed:email',
+  'client_corrected_file:email',
+  'account_verify_email:email',
+  'account_reset_password:email',
+];
+
+// Channels an event can be delivered through
+function eventChannels(event) {
+  return EVENTS[event].channels || Object.keys(CHANNELS);
+}
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+// A hanging send would hold up the whole outbox
+const REQUEST_TIMEOUT_MS = 10000;
+
+let mailer = null;
+
+function getMailer() {
+  if (!mailer) {
+    mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      connectionTimeout: REQUEST_TIMEOUT_MS,
+      greetingTimeout: REQUEST_TIMEOUT_MS,
+      socketTimeout: REQUEST_TIMEOUT_MS,
+    });
+  }
+  return mailer;
+}
+
+function postOrThrow(url, options) {
+  return fetch(url, { method: 'POST', signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS), ...options }).then((response) => {
+    if (!response.ok) {
+      return response.text().then((text) => {
+        throw new Error(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+      });
+    }
+    return response;
+  });
+}
+
+function render(event, data) {
+  const definition = EVENTS[event];
+  return { title: definition.title, message: definition.message(data) };
+}
+
+// Message and data kept in the outbox after an entry is sent, without the event's secret
+function sentEntry(entry) {
+  const definition = EVENTS[entry.event];
+  if (!definition || !definition.secret) return { message: entry.message, data: entry.data };
+  const data = { ...JSON.parse(entry.data || '{}'), [definition.secret]: '[usunięto po wysłaniu]' };
+  return { message: render(entry.event, data).message, data: JSON.stringify(data) };
+}
+
+function createNotifier(db) {
+  let processing = false;
+
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS notification_settings (
+        event TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (event, channel)
+      )`
+    );
+
+    db.run(
+      `CREATE TABLE IF NOT EXISTS notification_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        recipient TEXT,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        data TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME
+      )`
+    );
+
+    Object.keys(EVENTS).forEach((event) => {
+      eventChannels(event).forEach((channel) => {
+        db.run(
+          `INSERT OR IGNORE INTO notification_settings (event, channel, enabled) VALUES (?, ?, ?)`,
+          [event, channel, DEFAULT_ENABLED.includes(`${event}:${channel}`) ? 1 : 0]
+        );
+      });
+    });
+  }
+
+  // Queue an event for every enabled and configured channel.
+  // `options.channels` limits delivery to the given channels, `options.recipient` overrides the email address.
+  function notify(event, data, options = {}) {
+    if (!EVENTS[event]) {
+      console.error(`Unknown notification event: ${event}`);
+      return;
+    }
+    db.all(
+      `SELECT channel FROM notification_settings WHERE event = ? AND enabled = 1`,
+      [event],
+      (err, rows) => {
+        if (err) {
+          console.error('Error loading notification settings:', err);
+          return;
+        }
+        const { title, message } = render(event, data);
+        const channels = rows
+          .map((row) => row.channel)
+          .filter((channel) => eventChannels(event).includes(channel))
+          .filter((channel) => CHANNELS[channel] && CHANNELS[channel].configured())
+          .filter((channel) => !options.channels || options.channels.includes(channel));
+        let remaining = channels.length;
+        channels.forEach((channel) => {
+          db.run(
+            `INSERT INTO notification_outbox (event, channel, recipient, title, message, data) VALUES (?, ?, ?, ?, ?, ?)`,
+            [event, channel, options.recipient || null, title, message, JSON.stringify(data)],
+            (insertErr) => {
+              if (insertErr) {
+                console.error('Error queueing notification:', insertErr);
+              }
+              remaining--;
+              if (remaining === 0) {
+                processOutbox();
+              }
+            }
+          );
+        });
+      }
+    );
+  }
+
+  // Deliver due outbox entries; failures are retried with exponential backoff
+  function processOutbox() {
+    if (processing) return;
+    processing = true;
+    db.all(
+      `SELECT * FROM notification_outbox
+       WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY id LIMIT 20`,
+      (err, entries) => {
+        if (err || entries.length === 0) {
+          if (err) console.error('Error reading notification outbox:', err);
+          processing = false;
+          return;
+        }
+        let remaining = entries.length;
+        const done = () => {
+          remaining--;
+          if (remaining === 0) processing = false;
+        };
+        entries.forEach((entry) => {
+          const channel = CHANNELS[entry.channel];
+          const notification = {
+            event: entry.event,
+            title: entry.title,
+            message: entry.message,
+            recipient: entry.recipient,
+            data: JSON.parse(entry.data || '{}'),
+          };
+          Promise.resolve()
+            .then(() => {
+              if (!channel) throw new Error(`Unknown channel ${entry.channel}`);
+              return channel.send(notification);
+            })
+            .then(() => {
+              const sent = sentEntry(entry);
+              db.run(
+                `UPDATE notification_outbox
+                 SET status = 'sent', attempts = attempts + 1, last_error = NULL, message = ?, data = ?, sent_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [sent.message, sent.data, entry.id],
+                done
+              );
+            })
+            .catch((sendErr) => {
+              const attempts = entry.attempts + 1;
+              const failed = attempts >= MAX_ATTEMPTS;
+              const delay = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+              console.error(`Notification #${entry.id} via ${entry.channel} failed (attempt ${attempts}): ${sendErr.message}`);
+              db.run(
+                `UPDATE notification_outbox
+                 SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+                 WHERE id = ?`,
+                [failed ? 'failed' : 'pending', attempts, sendErr.message, `+${delay} seconds`, entry.id],
+                done
+              );
+            });
+        });
+      }
+    );
+  }
+
+  // Queue a failed entry again
+  function retry(id, callback) {
+    db.run(
+      `UPDATE notification_outbox SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [id],
+      (err) => {
+        if (!err) processOutbox();
+        callback(err);
+      }
+    );
+  }
+
+  // Send a test message straight through one channel, bypassing the outbox
+  function sendTest(channelName, callback) {
+    const channel = CHANNELS[channelName];
+    if (!channel) return callback(new Error('Nieznany kanał'));
+    if (!channel.configured()) return callback(new Error('Kanał nie jest skonfigurowany'));
+    channel
+      .send({
+        event: 'test',
+        title: 'Test powiadomień',
+        message: 'To jest testowe powiadomienie z panelu administracyjnego.',
+        data: {},
+      })
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  return {
+    createTables,
+    notify,
+    processOutbox,
+    retry,
+    sendTest,
+  };
+}
+
+module.exports = {
+  EVENTS,
+  CHANNELS,
+  eventChannels,
+  createNotifier,
+};
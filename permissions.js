@@ -0,0 +1,237 @@
+// Roles and named permissions. Every user has one role; routes are guarded by permissions and the
+// role → permission mapping is stored in the database so it can be changed in the admin panel.
+const PERMISSIONS = {
+  'jobs.view': 'Podgląd wszystkich zleceń i plików',
+  'jobs.process': 'Obsługa zleceń: statusy, pliki, wiadomość dla klienta',
+  'jobs.assign': 'Przypisywanie zleceń innym tunerom',
+  'workload.view': 'Podgląd obciążenia tunerów',
+  'chat.staff': 'Czat z klientami we wszystkich zleceniach',
+  'complaints.manage': 'Obsługa reklamacji',
+  'invoices.view': 'Faktury wszystkich klientów',
+  'prices.manage': 'Cennik',
+  'services.manage': 'Usługi tuningowe i ich parametry',
+  'catalog.manage': 'Katalog pojazdów i sterowników',
+  'dtc.manage': 'Biblioteka kodów DTC',
+  'users.manage': 'Użytkownicy i kredyty',
+  'roles.manage': 'Role i uprawnienia',
+  'notifications.manage': 'Ustawienia powiadomień serwisu',
+  'audit.view': 'Dziennik audytu i jego eksport',
+  'webhooks.all_jobs': 'Webhooki ze zdarzeniami wszystkich zleceń',
+  'jobs.create': 'Zlecanie nowych zadań',
+  'api.use': 'Dostęp do API',
+};
+
+// Always has every permission and cannot be edited or deleted
+const SUPER_ADMIN = 'super_admin';
+
+// Roles created on first start. `staff` roles use the admin panel and answer chats as the service.
+const DEFAULT_ROLES = {
+  super_admin: { label: 'Super-administrator', staff: true, permissions: Object.keys(PERMISSIONS) },
+  tuner: {
+    label: 'Tuner',
+    staff: true,
+    permissions: ['jobs.view', 'jobs.process', 'workload.view', 'chat.staff', 'complaints.manage'],
+  },
+  support: { label: 'Wsparcie', staff: true, permissions: ['jobs.view', 'chat.staff', 'complaints.manage'] },
+  accountant: { label: 'Księgowość', staff: true, permissions: ['invoices.view'] },
+  reseller: { label: 'Reseller', staff: false, permissions: ['jobs.create', 'api.use'] },
+  client: { label: 'Klient', staff: false, permissions: ['jobs.create', 'api.use'] },
+};
+
+// Admin panel pages in the order a staff member lands on them after login
+const STAFF_HOME_PAGES = [
+  ['jobs.view', '/admin/jobs'],
+  ['complaints.manage', '/admin/complaints'],
+  ['invoices.view', '/admin/invoices'],
+  ['users.manage', '/admin/users'],
+  ['prices.manage', '/admin/prices'],
+  ['services.manage', '/admin/services'],
+  ['catalog.manage', '/admin/catalog'],
+  ['dtc.manage', '/admin/dtc'],
+  ['roles.manage', '/admin/roles'],
+  ['audit.view', '/admin/audit'],
+];
+
+function createPermissions(db) {
+  // role name → { name, label, staff, builtin, permissions: Set }
+  let roles = {};
+
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS roles (
+        name TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        staff INTEGER NOT NULL DEFAULT 0,
+        builtin INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    db.run(
+      `CREATE TABLE IF NOT EXISTS role_permissions (
+        role TEXT NOT NULL,
+        permission TEXT NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name)
+      )`
+    );
+
+    // Default permissions are only given to a role when it is created, later changes are kept
+    Object.keys(DEFAULT_ROLES).forEach((name) => {
+      const role = DEFAULT_ROLES[name];
+      role.permissions.forEach((permission) => {
+        db.run(
+          `INSERT OR IGNORE INTO role_permissions (role, permission)
+           SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM roles WHERE name = ?)`,
+          [name, permission, name]
+        );
+      });
+      db.run(`INSERT OR IGNORE INTO roles (name, label, staff, builtin) VALUES (?, ?, ?, 1)`, [
+        name,
+        role.label,
+        role.staff ? 1 : 0,
+      ]);
+    });
+
+    // New permissions are granted to the super-admin as they are added
+    Object.keys(PERMISSIONS).forEach((permission) => {
+      db.run(`INSERT OR IGNORE INTO role_permissions (role, permission) VALUES (?, ?)`, [SUPER_ADMIN, permission]);
+    });
+
+    // Before roles existed admins had role 'admin' and any other value meant a client
+    db.run(`UPDATE users SET role = ? WHERE role = 'admin'`, [SUPER_ADMIN], (err) => {
+      if (err) console.error('Error migrating admin users:', err);
+    });
+    db.run(`UPDATE users SET role = 'client' WHERE role NOT IN (SELECT name FROM roles)`, (err) => {
+      if (err) console.error('Error migrating user roles:', err);
+    });
+
+    load();
+  }
+
+  // Refresh the in-memory copy of roles used by can() and isStaff()
+  function load(callback) {
+    db.all(
+      `SELECT roles.*, GROUP_CONCAT(role_permissions.permission) AS permission_list
+       FROM roles
+       LEFT JOIN role_permissions ON role_permissions.role = roles.name
+       GROUP BY roles.name
+       ORDER BY roles.builtin DESC, roles.created_at, roles.name`,
+      (err, rows) => {
+        if (err) {
+          console.error('Error loading roles:', err);
+          if (callback) callback(err);
+          return;
+        }
+        roles = {};
+        rows.forEach((row) => {
+          roles[row.name] = {
+            name: row.name,
+            label: row.label,
+            staff: !!row.staff,
+            builtin: !!row.builtin,
+            permissions: new Set(String(row.permission_list || '').split(',').filter((p) => PERMISSIONS[p])),
+          };
+        });
+        if (callback) callback(null);
+      }
+    );
+  }
+
+  function can(roleName, permission) {
+    if (roleName === SUPER_ADMIN) return true;
+    return !!roles[roleName] && roles[roleName].permissions.has(permission);
+  }
+
+  function isStaff(roleName) {
+    return !!roles[roleName] && roles[roleName].staff;
+  }
+
+  function roleLabel(roleName) {
+    return roles[roleName] ? roles[roleName].label : roleName;
+  }
+
+  function list() {
+    return Object.keys(roles).map((name) => ({ ...roles[name], permissions: [...roles[name].permissions] }));
+  }
+
+  // First admin panel page the role may open, or the client home page
+  function homePage(roleName) {
+    if (!isStaff(roleName)) return '/home';
+    const page = STAFF_HOME_PAGES.find(([permission]) => can(roleName, permission));
+    return page ? page[1] : '/account';
+  }
+
+  // Replace label, staff flag and permissions of roles: { name: { label, staff, permissions: [] } }
+  function saveRoles(changes, callback) {
+    const names = Object.keys(changes).filter((name) => roles[name] && name !== SUPER_ADMIN);
+    let failed = null;
+    const check = (err) => {
+      if (err && !failed) failed = err;
+    };
+    db.serialize(() => {
+      names.forEach((name) => {
+        const change = changes[name];
+        const label = String(change.label || '').trim() || roles[name].label;
+        const permissions = [].concat(change.permissions || []).filter((permission) => PERMISSIONS[permission]);
+        db.run(`UPDATE roles SET label = ?, staff = ? WHERE name = ?`, [label, change.staff ? 1 : 0, name], check);
+        db.run(`DELETE FROM role_permissions WHERE role = ?`, [name], check);
+        permissions.forEach((permission) => {
+          db.run(`INSERT INTO role_permissions (role, permission) VALUES (?, ?)`, [name, permission], check);
+        });
+      });
+      db.get(`SELECT 1`, () => {
+        if (failed) return callback(failed);
+        load(callback);
+      });
+    });
+  }
+
+  function createRole(name, label, staff, callback) {
+    db.run(
+      `INSERT INTO roles (name, label, staff) VALUES (?, ?, ?)`,
+      [name, label, staff ? 1 : 0],
+      (err) => {
+        if (err) return callback(err);
+        load(callback);
+      }
+    );
+  }
+
+  // Only roles added in the admin panel and not given to any user can be deleted
+  function deleteRole(name, callback) {
+    db.get(`SELECT COUNT(*) AS count FROM users WHERE role = ?`, [name], (err, row) => {
+      if (err) return callback(err);
+      if (row.count > 0 || !roles[name] || roles[name].builtin) {
+        return callback(null, false);
+      }
+      db.run(`DELETE FROM role_permissions WHERE role = ?`, [name], (permErr) => {
+        if (permErr) return callback(permErr);
+        db.run(`DELETE FROM roles WHERE name = ?`, [name], (deleteErr) => {
+          if (deleteErr) return callback(deleteErr);
+          load((loadErr) => callback(loadErr, true));
+        });
+      });
+    });
+  }
+
+  return {
+    createTables,
+    load,
+    can,
+    isStaff,
+    roleLabel,
+    list,
+    homePage,
+    saveRoles,
+    createRole,
+    deleteRole,
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  SUPER_ADMIN,
+  DEFAULT_ROLES,
+  createPermissions,
+};
@@ -0,0 +1,54 @@
+// In-memory attempt counters for login, registration and password reset forms. A key (e.g. an IP
+// address) that reaches `max` attempts within `windowMs` is locked out until the window ends.
+// Counters are per process and start from zero after a restart.
+function createRateLimiter({ windowMs, max }) {
+  // key → { count, resetAt }
+  const entries = new Map();
+
+  function entry(key) {
+    const now = Date.now();
+    const current = entries.get(key);
+    if (current && current.resetAt > now) return current;
+    if (current) entries.delete(key);
+    return null;
+  }
+
+  // Seconds until the key may try again, 0 when it is not locked out
+  function retryAfter(key) {
+    const current = entry(key);
+    if (!current || current.count < max) return 0;
+    return Math.ceil((current.resetAt - Date.now()) / 1000);
+  }
+
+  function hit(key) {
+    const current = entry(key);
+    if (current) {
+      current.count++;
+    } else {
+      entries.set(key, { count: 1, resetAt: Date.now() + windowMs });
+    }
+    // Forget expired keys now and then so the map does not grow with every address seen
+    if (entries.size > 10000) {
+      const now = Date.now();
+      entries.forEach((value, k) => {
+        if (value.resetAt <= now) entries.delete(k);
+      });
+    }
+  }
+
+  function reset(key) {
+    entries.delete(key);
+  }
+
+  return { retryAfter, hit, reset };
+}
+
+// "5 min" style wait time for messages shown to users
+function formatRetryAfter(seconds) {
+  return `${Math.max(Math.ceil(seconds / 60), 1)} min`;
+}
+
+module.exports = {
+  createRateLimiter,
+  formatRetryAfter,
+};
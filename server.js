@@ -11,23 +11,72 @@ const path = require('path');
 const bcrypt = require('bcryptjs');
 const multer = require('multer');
 const fs = require('fs');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
 const http = require('http');
 const socketIo = require('socket.io');
 const APP_VERSION = require('./version');
+const { fingerprintFile, matchesDeclaredEcu } = require('./fingerprint');
+const { MAX_LISTED_REGIONS, diffBuffers, hexView, limitRegions } = require('./bindiff');
+const {
+  EVENTS: NOTIFICATION_EVENTS,
+  CHANNELS: NOTIFICATION_CHANNELS,
+  eventChannels,
+  createNotifier,
+} = require('./notifications');
+const { EVENTS: WEBHOOK_EVENTS, generateSecret, parseEvents, checkTarget, createWebhooks } = require('./webhooks');
+const { STATUSES: JOB_STATUSES, TRANSITIONS, OPEN_STATUSES, canTransition, statusLabel } = require('./workflow');
+const { PER_PAGE_CHOICES, parseJobFilters, buildJobQuery, filterQueryString } = require('./jobsearch');
+const { PERMISSIONS, SUPER_ADMIN, createPermissions } = require('./permissions');
+const totp = require('./totp');
+const { createRateLimiter, formatRetryAfter } = require('./ratelimit');
+const {
+  ACTIONS: AUDIT_ACTIONS,
+  TARGET_TYPES: AUDIT_TARGET_TYPES,
+  parseAuditFilters,
+  auditQueryString,
+  createAuditLog,
+} = require('./audit');
+const {
+  ALLOWED_EXTENSIONS,
+  IMAGE_EXTENSIONS,
+  ATTACHMENT_TYPES,
+  allowedExtension,
+  parseDumpSizes,
+  checkUpload,
+} = require('./uploadcheck');
+const { PARAM_TYPES: SERVICE_PARAM_TYPES, NEW_PARAM_ROWS, parseServiceForm, createServices } = require('./services');
+const { createCatalog } = require('./catalog');
+const { CSV_COLUMNS: DTC_CSV_COLUMNS, parseDtcFilters, dtcQueryString, createDtcLibrary } = require('./dtc');
+const { createSolutions } = require('./solutions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const VAT_RATE = process.env.VAT_RATE ? parseFloat(process.env.VAT_RATE) : 23;
+// Largest accepted upload and the accepted sizes of raw dumps (comma separated, in KB)
+const UPLOAD_MAX_MB = process.env.UPLOAD_MAX_MB ? parseFloat(process.env.UPLOAD_MAX_MB) : 16;
+const UPLOAD_DUMP_SIZES = parseDumpSizes(process.env.UPLOAD_DUMP_SIZES);
 
 // Ensure data folders exist
 const dataDir = path.join(__dirname, 'data');
 const uploadDir = path.join(__dirname, 'uploads');
+// Uploads wait here until they are checked and moved to the job's directory
+const uploadTmpDir = path.join(uploadDir, 'tmp');
 if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir);
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir);
+if (!fs.existsSync(uploadTmpDir)) fs.mkdirSync(uploadTmpDir);
 
 // Database setup
 const dbFile = path.join(dataDir, 'app.db');
 const db = new sqlite3.Database(dbFile);
+const notifier = createNotifier(db);
+const webhooks = createWebhooks(db);
+const permissions = createPermissions(db);
+const audit = createAuditLog(db);
+const services = createServices(db);
+const catalog = createCatalog(db, services);
+const dtcLibrary = createDtcLibrary(db);
+const solutions = createSolutions(db, services);
 
 db.serialize(() => {
   db.run(
@@ -141,6 +190,412 @@ db.serialize(() => {
     }
   });
 
+  // Detected ECU fingerprint of the original upload
+  [
+    'file_size INTEGER',
+    'file_crc32 TEXT',
+    'file_sha256 TEXT',
+    'ecu_detected_manufacturer TEXT',
+    'ecu_detected_family TEXT',
+    'ecu_hw_number TEXT',
+    'ecu_sw_number TEXT',
+    'ecu_calibration_id TEXT',
+  ].forEach((column) => {
+    db.run(`ALTER TABLE jobs ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} column:`, err);
+      }
+    });
+  });
+
+  // Admin (tuner) working on the job
+  ['assigned_to INTEGER REFERENCES users(id)', 'assigned_at DATETIME'].forEach((column) => {
+    db.run(`ALTER TABLE jobs ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} column:`, err);
+      }
+    });
+  });
+
+  // Earlier job with the same original binary
+  db.run(`ALTER TABLE jobs ADD COLUMN duplicate_of INTEGER REFERENCES jobs(id)`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding duplicate_of column:', err);
+    }
+  });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_file_sha256 ON jobs (file_sha256)`);
+  // Engine picked from the vehicle catalog and its label at the time, kept if the catalog changes
+  db.run(`ALTER TABLE jobs ADD COLUMN catalog_engine_id INTEGER`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding catalog_engine_id column:', err);
+    }
+  });
+  db.run(`ALTER TABLE jobs ADD COLUMN vehicle_engine TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding vehicle_engine column:', err);
+    }
+  });
+  db.run(
+    `UPDATE jobs SET duplicate_of = (
+       SELECT MAX(previous.id) FROM jobs AS previous WHERE previous.file_sha256 = jobs.file_sha256 AND previous.id < jobs.id
+     )
+     WHERE duplicate_of IS NULL AND file_sha256 IS NOT NULL`,
+    (err) => {
+      if (err) console.error('Error linking duplicate uploads:', err);
+    }
+  );
+
+  // Every original, processed and corrected file uploaded for a job
+  db.run(
+    `CREATE TABLE IF NOT EXISTS job_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      stored_filename TEXT NOT NULL,
+      original_filename TEXT NOT NULL,
+      uploaded_by INTEGER,
+      sha256 TEXT,
+      file_size INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    )`
+  );
+
+  // Additional files of a job: dumps, read logs and photos sent by the client, extra output files
+  // from the service. `output` marks files delivered by the service, paid like the processed file
+  db.run(
+    `CREATE TABLE IF NOT EXISTS job_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      output INTEGER NOT NULL DEFAULT 0,
+      stored_filename TEXT NOT NULL,
+      original_filename TEXT NOT NULL,
+      uploaded_by INTEGER,
+      sha256 TEXT,
+      file_size INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (uploaded_by) REFERENCES users(id)
+    )`
+  );
+  // Chat message announcing a file sent from the chat
+  db.run(`ALTER TABLE messages ADD COLUMN attachment_id INTEGER REFERENCES job_attachments(id)`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding attachment_id column:', err);
+    }
+  });
+  db.run(`CREATE INDEX IF NOT EXISTS idx_messages_job ON messages (job_id, id)`);
+
+  // Last chat message of a job each user has seen
+  db.run(
+    `CREATE TABLE IF NOT EXISTS message_reads (
+      job_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      last_read_id INTEGER NOT NULL,
+      read_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (job_id, user_id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
+  // Backfill file history for jobs created before job_files existed
+  db.run(
+    `INSERT INTO job_files (job_id, kind, version, stored_filename, original_filename, uploaded_by, sha256, file_size, created_at)
+     SELECT id, 'original', 0, stored_filename, original_filename, user_id, file_sha256, file_size, created_at
+     FROM jobs
+     WHERE NOT EXISTS (SELECT 1 FROM job_files WHERE job_files.job_id = jobs.id AND job_files.kind = 'original')`,
+    (err) => {
+      if (err) console.error('Error backfilling original files:', err);
+    }
+  );
+  db.run(
+    `INSERT INTO job_files (job_id, kind, version, stored_filename, original_filename, created_at)
+     SELECT id, 'processed', 1, processed_filename, original_filename, updated_at
+     FROM jobs
+     WHERE processed_filename IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM job_files WHERE job_files.job_id = jobs.id AND job_files.kind = 'processed')`,
+    (err) => {
+      if (err) console.error('Error backfilling processed files:', err);
+    }
+  );
+  db.run(
+    `INSERT INTO job_files (job_id, kind, version, stored_filename, original_filename, created_at)
+     SELECT id, 'corrected', file_version, corrected_filename, original_filename, updated_at
+     FROM jobs
+     WHERE corrected_filename IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM job_files WHERE job_files.job_id = jobs.id AND job_files.kind = 'corrected')`,
+    (err) => {
+      if (err) console.error('Error backfilling corrected files:', err);
+    }
+  );
+
+  // Admin-managed prices per tuning option, optionally narrowed to a make and/or ECU family
+  db.run(
+    `CREATE TABLE IF NOT EXISTS price_list (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      option_key TEXT NOT NULL,
+      vehicle_make TEXT,
+      ecu_family TEXT,
+      net_price REAL NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+
+  db.run(
+    `CREATE TABLE IF NOT EXISTS invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_number TEXT UNIQUE NOT NULL,
+      job_id INTEGER NOT NULL UNIQUE,
+      user_id INTEGER NOT NULL,
+      items TEXT NOT NULL,
+      net_amount REAL NOT NULL,
+      vat_rate REAL NOT NULL,
+      vat_amount REAL NOT NULL,
+      gross_amount REAL NOT NULL,
+      issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
+  // Quote stored on the job when it is created or edited
+  db.run(`ALTER TABLE jobs ADD COLUMN quote_net REAL`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding quote_net column:', err);
+    }
+  });
+  db.run(`ALTER TABLE jobs ADD COLUMN quote_gross REAL`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.error('Error adding quote_gross column:', err);
+    }
+  });
+
+  // Prepaid credits: top-ups and corrections by an admin, debits and refunds per job
+  db.run(
+    `CREATE TABLE IF NOT EXISTS credit_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      amount REAL NOT NULL,
+      type TEXT NOT NULL,
+      job_id INTEGER,
+      note TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )`
+  );
+
+  db.run(`ALTER TABLE jobs ADD COLUMN paid_at DATETIME`, (err) => {
+    if (err) {
+      if (!err.message.includes('duplicate column')) {
+        console.error('Error adding paid_at column:', err);
+      }
+      return;
+    }
+    // Jobs created before credits existed were settled outside the system
+    db.run(`UPDATE jobs SET paid_at = CURRENT_TIMESTAMP`, (updateErr) => {
+      if (updateErr) console.error('Error marking existing jobs as paid:', updateErr);
+    });
+  });
+
+  notifier.createTables();
+  webhooks.createTables();
+  permissions.createTables();
+  audit.createTables();
+  services.createTables();
+  catalog.createTables();
+  dtcLibrary.createTables();
+  solutions.createTables();
+
+  // In-app notifications shown to clients (unread badges)
+  db.run(
+    `CREATE TABLE IF NOT EXISTS user_notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      job_id INTEGER,
+      type TEXT NOT NULL,
+      message TEXT NOT NULL,
+      read_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (job_id) REFERENCES jobs(id)
+    )`
+  );
+
+  // Personal API tokens for /api/v1 - only a hash of the token is stored
+  db.run(
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
+  // Status changes of jobs (timeline on the job detail pages)
+  db.run(
+    `CREATE TABLE IF NOT EXISTS job_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      actor_id INTEGER,
+      comment TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES jobs(id),
+      FOREIGN KEY (actor_id) REFERENCES users(id)
+    )`
+  );
+
+  // Jobs created before the workflow existed start their timeline at creation
+  db.run(
+    `INSERT INTO job_events (job_id, from_status, to_status, actor_id, created_at)
+     SELECT id, NULL, 'pending', user_id, created_at
+     FROM jobs
+     WHERE NOT EXISTS (SELECT 1 FROM job_events WHERE job_events.job_id = jobs.id)`,
+    (err) => {
+      if (err) console.error('Error backfilling job events:', err);
+    }
+  );
+
+  // Completed jobs with an open problem report are reopened in the new workflow
+  db.run(
+    `UPDATE jobs SET status = 'reopened'
+     WHERE status = 'completed'
+       AND EXISTS (SELECT 1 FROM problem_reports WHERE problem_reports.job_id = jobs.id AND problem_reports.status = 'open')`,
+    (err) => {
+      if (err) console.error('Error migrating reopened jobs:', err);
+    }
+  );
+
+  // Saved /admin/jobs filters, stored as query strings
+  db.run(
+    `CREATE TABLE IF NOT EXISTS job_filter_presets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      query TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
+  // Organisations (workshops) with an owner paying for the jobs of all members
+  db.run(
+    `CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      owner_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (owner_id) REFERENCES users(id)
+    )`
+  );
+
+  // Members (including the owner) point at their organisation, jobs remember the one they were ordered for
+  ['users', 'jobs'].forEach((table) => {
+    db.run(`ALTER TABLE ${table} ADD COLUMN organization_id INTEGER REFERENCES organizations(id)`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${table}.organization_id column:`, err);
+      }
+    });
+  });
+
+  // Account self-service: verified email address, contact details, password change forced by an admin
+  db.run(`ALTER TABLE users ADD COLUMN email_verified_at DATETIME`, (err) => {
+    if (err) {
+      if (!err.message.includes('duplicate column')) {
+        console.error('Error adding email_verified_at column:', err);
+      }
+      return;
+    }
+    // Accounts created before verification existed are trusted
+    db.run(`UPDATE users SET email_verified_at = CURRENT_TIMESTAMP`, (updateErr) => {
+      if (updateErr) console.error('Error marking existing users as verified:', updateErr);
+    });
+  });
+  ['phone TEXT', 'company_name TEXT', 'tax_id TEXT', 'address TEXT', 'password_reset_required INTEGER NOT NULL DEFAULT 0'].forEach(
+    (column) => {
+      db.run(`ALTER TABLE users ADD COLUMN ${column}`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error(`Error adding ${column.split(' ')[0]} column:`, err);
+        }
+      });
+    }
+  );
+
+  // One-time links sent by email (verify_email, reset_password), only a hash of the token is stored.
+  // `email` is the address being verified, which differs from users.email while an email change is pending.
+  db.run(
+    `CREATE TABLE IF NOT EXISTS user_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      email TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
+  // Two-factor authentication: TOTP secret, when it was turned on and the last accepted time step
+  ['totp_secret TEXT', 'totp_enabled_at DATETIME', 'totp_last_step INTEGER'].forEach((column) => {
+    db.run(`ALTER TABLE users ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} column:`, err);
+      }
+    });
+  });
+
+  // Single-use recovery codes for logging in without the authenticator app, stored hashed
+  db.run(
+    `CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
+  // Failed logins in a row and the temporary lockout they trigger
+  ['failed_login_count INTEGER NOT NULL DEFAULT 0', 'locked_until DATETIME'].forEach((column) => {
+    db.run(`ALTER TABLE users ADD COLUMN ${column}`, (err) => {
+      if (err && !err.message.includes('duplicate column')) {
+        console.error(`Error adding ${column.split(' ')[0]} column:`, err);
+      }
+    });
+  });
+
+  // Logged-in sessions per user, so they can be listed and revoked. The session data itself
+  // lives in the session store (data/sessions.db), `sid` links the two.
+  db.run(
+    `CREATE TABLE IF NOT EXISTS user_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sid TEXT UNIQUE NOT NULL,
+      user_id INTEGER NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`
+  );
+
   // Create tic-tac-toe game table
   db.run(
     `CREATE TABLE IF NOT EXISTS tic_tac_toe (
@@ -178,20 +633,27 @@ db.serialize(() => {
     }
   });
 
-  // Create default admin if not exists
-  db.get(`SELECT * FROM users WHERE role = 'admin' LIMIT 1`, (err, row) => {
+  // Create default admin if not exists. Its password is public, so it has to be changed on first login.
+  const DEFAULT_ADMIN_EMAIL = 'admin@example.com';
+  const DEFAULT_ADMIN_PASSWORD = 'admin123';
+  db.get(`SELECT * FROM users WHERE role = ? LIMIT 1`, [SUPER_ADMIN], (err, row) => {
     if (err) {
       console.error('Error checking admin user', err);
       return;
     }
+    // Installs from before the forced change may still use the seeded password
+    if (row && row.email === DEFAULT_ADMIN_EMAIL && bcrypt.compareSync(DEFAULT_ADMIN_PASSWORD, row.password_hash)) {
+      db.run(`UPDATE users SET password_reset_required = 1 WHERE id = ?`, [row.id]);
+    }
     if (!row) {
-      const email = 'admin@example.com';
+      const email = DEFAULT_ADMIN_EMAIL;
       const username = 'admin';
-      const password = 'admin123';
+      const password = DEFAULT_ADMIN_PASSWORD;
       const hash = bcrypt.hashSync(password, 10);
       db.run(
-        `INSERT INTO users (email, password_hash, username, role) VALUES (?, ?, ?, 'admin')`,
-        [email, hash, username],
+        `INSERT INTO users (email, password_hash, username, role, email_verified_at, password_reset_required)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, 1)`,
+        [email, hash, username, SUPER_ADMIN],
         (insertErr) => {
           if (insertErr) {
             console.error('Error creating default admin', insertErr);
@@ -218,29 +680,187 @@ app.set('views', path.join(__dirname, 'views'));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
-app.use(
-  session({
-    store: new SQLiteStore({ db: 'sessions.db', dir: dataDir }),
-    secret: 'change_this_secret',
-    resave: false,
-    saveUninitialized: false,
-  })
-);
+// Client IP addresses (req.ip) for rate limiting and the session list. The default trusts
+// X-Forwarded-For from proxies on private networks, like the Fly.io edge; set TRUST_PROXY
+// to an Express "trust proxy" value when running behind something else.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
+// SESSION_SECRET from the environment, otherwise a random secret kept in the data folder
+// so sessions survive restarts
+function loadSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  const secretFile = path.join(dataDir, 'session_secret');
+  if (fs.existsSync(secretFile)) return fs.readFileSync(secretFile, 'utf8').trim();
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+  return secret;
+}
+
+const sessionStore = new SQLiteStore({ db: 'sessions.db', dir: dataDir });
+const sessionMiddleware = session({
+  store: sessionStore,
+  secret: loadSessionSecret(),
+  resave: false,
+  saveUninitialized: false,
+  cookie: { httpOnly: true, sameSite: 'lax' },
+});
+
+app.use(sessionMiddleware);
+
+// CSRF protection: every form that changes something sends the session's token as `_csrf`.
+// Multipart forms pass it in the query string because the body is parsed later by multer,
+// scripts send it in the X-CSRF-Token header. The token is only created for pages that need it.
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+function validCsrfToken(req) {
+  const sent = String((req.body && req.body._csrf) || req.query._csrf || req.get('X-CSRF-Token') || '');
+  const expected = req.session.csrfToken;
+  return !!expected && sent.length === expected.length && crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+app.use((req, res, next) => {
+  res.locals.csrfToken = () => csrfToken(req);
+  // The public API authenticates with bearer tokens, not the session cookie
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.path.startsWith('/api/v1/')) {
+    return next();
+  }
+  if (!validCsrfToken(req)) {
+    return res.status(403).send('Formularz wygasł. Odśwież stronę i spróbuj ponownie.');
+  }
+  next();
+});
 
 app.use(express.static(path.join(__dirname, 'public')));
 
 // File upload configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, uploadTmpDir);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+    cb(null, uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  },
+});
+
+// Most attachments accepted in one request
+const MAX_ATTACHMENTS = 10;
+
+// Attachment fields are named after their type (see uploadcheck.js), every other field - the job's
+// main file, processed and corrected files - takes ECU files
+function fieldExtensions(fieldname) {
+  return ATTACHMENT_TYPES[fieldname] ? ATTACHMENT_TYPES[fieldname].extensions : ALLOWED_EXTENSIONS;
+}
+
+const ATTACHMENT_FIELDS = Object.keys(ATTACHMENT_TYPES).map((type) => ({ name: type, maxCount: MAX_ATTACHMENTS }));
+// Main file of a new job with its attachments
+const JOB_UPLOAD_FIELDS = [{ name: 'file', maxCount: 1 }, ...ATTACHMENT_FIELDS];
+
+const upload = multer({
+  storage,
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: MAX_ATTACHMENTS + 1 },
+  // Only the extension is known here, the content is checked once the file is on disk
+  fileFilter: (req, file, cb) => {
+    const extensions = fieldExtensions(file.fieldname);
+    if (allowedExtension(file.originalname, extensions)) return cb(null, true);
+    cb(httpError(400, 'invalid_upload', `Niedozwolony typ pliku ${file.originalname}. Dozwolone: ${extensions.join(', ')}`));
   },
 });
 
-const upload = multer({ storage });
+// Message for an upload refused by multer: our own errors or one of its limits
+function uploadErrorMessage(err) {
+  if (err.code === 'LIMIT_FILE_SIZE') return `Plik jest za duży - maksymalny rozmiar to ${UPLOAD_MAX_MB} MB`;
+  if (err.status) return err.message;
+  console.error(err);
+  return 'File upload error';
+}
+
+// multer errors of an upload handler (upload.single, upload.fields) as a plain 400 page instead of
+// the error handler
+function formUpload(handler) {
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err) return res.status(400).send(uploadErrorMessage(err));
+      next();
+    });
+  };
+}
+
+// Check the content of an uploaded file (see uploadcheck.js) and hash it. A refused file is
+// deleted. callback(err) - err has a status and message for the user
+function checkUploadedFile(file, callback) {
+  fs.readFile(file.path, (err, buffer) => {
+    if (err) return callback(err);
+    const problem = checkUpload(buffer, file.originalname, {
+      maxSize: UPLOAD_MAX_MB * 1024 * 1024,
+      dumpSizes: UPLOAD_DUMP_SIZES,
+      extensions: fieldExtensions(file.fieldname),
+    });
+    if (problem) {
+      fs.unlink(file.path, () => {});
+      return callback(httpError(400, 'invalid_upload', problem));
+    }
+    file.sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    callback(null);
+  });
+}
+
+function discardUploads(files) {
+  files.forEach((file) => fs.unlink(file.path, () => {}));
+}
+
+// Check several uploads one after another. If one is refused all of them are deleted. callback(err)
+function checkUploadedFiles(files, callback) {
+  let index = 0;
+  const checkNext = (err) => {
+    if (err) {
+      discardUploads(files);
+      return callback(err);
+    }
+    if (index >= files.length) return callback(null);
+    checkUploadedFile(files[index++], checkNext);
+  };
+  checkNext(null);
+}
+
+// Files of the attachment fields of a multipart request, each with its `type`
+function uploadedAttachments(req) {
+  const attachments = [];
+  Object.keys(ATTACHMENT_TYPES).forEach((type) => {
+    ((req.files || {})[type] || []).forEach((file) => {
+      file.type = type;
+      attachments.push(file);
+    });
+  });
+  return attachments;
+}
+
+// Move a checked upload to the job's directory, named by its content hash, and set file.filename to
+// its path relative to uploads/ as stored in the database. Not fatal if it fails - the file is then
+// kept and served from tmp/
+function storeUpload(jobId, file, callback) {
+  const filename = `${file.sha256}${path.extname(file.filename)}`;
+  const target = path.join(uploadDir, String(Number(jobId)), filename);
+  const keepInTmp = (err) => {
+    console.error('Error moving upload:', err);
+    file.filename = `tmp/${file.filename}`;
+    callback();
+  };
+  fs.mkdir(path.dirname(target), { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) return keepInTmp(mkdirErr);
+    fs.rename(file.path, target, (renameErr) => {
+      if (renameErr) return keepInTmp(renameErr);
+      file.path = target;
+      file.filename = `${Number(jobId)}/${filename}`;
+      callback();
+    });
+  });
+}
 
 // Helpers
 function requireAuth(req, res, next) {
@@ -250,726 +870,4538 @@ function requireAuth(req, res, next) {
   next();
 }
 
-function requireAdmin(req, res, next) {
-  if (!req.session.user || req.session.user.role !== 'admin') {
-    return res.status(403).send('Forbidden');
-  }
-  next();
-}
+// Route guard for a named permission of the user's role (see permissions.js)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.session.user || !permissions.can(req.session.user.role, permission)) {
+      return res.status(403).send('Forbidden');
+    }
+    next();
+  };
+}
+
+// Job submission needs a confirmed email address (see the account status middleware)
+function requireVerifiedEmail(req, res, next) {
+  if (!req.emailVerified) {
+    if (req.method === 'GET') return res.redirect('/profile');
+    return res.status(403).send('Potwierdź adres email, aby zlecać zadania');
+  }
+  next();
+}
+
+// Validity of links sent by email, in hours
+const ACCOUNT_TOKEN_HOURS = { verify_email: 48, reset_password: 1 };
+const MIN_PASSWORD_LENGTH = 8;
+
+function passwordError(password, confirmation) {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Hasło musi mieć co najmniej ${MIN_PASSWORD_LENGTH} znaków.`;
+  }
+  if (password !== confirmation) {
+    return 'Hasła nie są identyczne.';
+  }
+  return null;
+}
+
+// Email a one-time link (verify_email or reset_password) to `email`, callback(err). Links point at
+// APP_URL only - built from the request's Host header, a forged header would send the token elsewhere.
+function sendAccountToken(user, purpose, email, callback) {
+  const baseUrl = (process.env.APP_URL || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    console.error(`APP_URL is not set - the ${purpose} link for user #${user.id} was not sent`);
+    return callback(httpError(503, 'not_configured', 'Wysyłanie linków do konta nie jest skonfigurowane'));
+  }
+  const token = crypto.randomBytes(32).toString('hex');
+  const hours = ACCOUNT_TOKEN_HOURS[purpose];
+  db.run(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at) VALUES (?, ?, ?, ?, datetime('now', ?))`,
+    [user.id, purpose, hashApiToken(token), email, `+${hours} hours`],
+    (err) => {
+      if (err) return callback(err);
+      const link = `${baseUrl}/${purpose === 'verify_email' ? 'verify-email' : 'reset-password'}?token=${token}`;
+      if (!NOTIFICATION_CHANNELS.email.configured() && process.env.LOG_ACCOUNT_LINKS === 'true') {
+        // Local development without SMTP - the link is a secret, so only on explicit request
+        console.log(`Account link (${purpose}) for ${email}: ${link}`);
+      }
+      notifier.notify(`account_${purpose}`, { username: user.username, link, hours }, { recipient: email });
+      callback(null);
+    }
+  );
+}
+
+// Unused and unexpired token of the purpose, callback(err, token or undefined)
+function findAccountToken(token, purpose, callback) {
+  db.get(
+    `SELECT user_tokens.*, users.username, users.email AS user_email
+     FROM user_tokens
+     JOIN users ON user_tokens.user_id = users.id
+     WHERE user_tokens.token_hash = ? AND user_tokens.purpose = ?
+       AND user_tokens.used_at IS NULL AND user_tokens.expires_at > CURRENT_TIMESTAMP`,
+    [hashApiToken(String(token || '')), purpose],
+    callback
+  );
+}
+
+// Name shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = 'Serwis Plików';
+// Time to enter the code after the password, and wrong codes allowed before logging in again
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+const TWO_FACTOR_LOGIN_ATTEMPTS = 5;
+
+// Replace the user's recovery codes, the plain codes are passed to the callback to be shown once
+function saveRecoveryCodes(userId, callback) {
+  const codes = totp.generateRecoveryCodes();
+  db.run(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [userId], (err) => {
+    if (err) return callback(err);
+    let pending = codes.length;
+    let failed = null;
+    codes.forEach((code) => {
+      db.run(
+        `INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)`,
+        [userId, hashApiToken(code)],
+        (insertErr) => {
+          if (insertErr && !failed) failed = insertErr;
+          if (--pending === 0) callback(failed, failed ? null : codes);
+        }
+      );
+    });
+  });
+}
+
+// Check a code from the authenticator app or an unused recovery code (which is then used up).
+// Calls back with 'totp', 'recovery' or null when the code is wrong.
+function checkSecondFactor(user, code, callback) {
+  const step = totp.verify(user.totp_secret, code, user.totp_last_step);
+  if (step !== null) {
+    return db.run(`UPDATE users SET totp_last_step = ? WHERE id = ?`, [step, user.id], (err) => {
+      callback(err, err ? null : 'totp');
+    });
+  }
+  const recoveryCode = totp.normalizeRecoveryCode(code);
+  if (!recoveryCode) return callback(null, null);
+  db.run(
+    `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [user.id, hashApiToken(recoveryCode)],
+    function (err) {
+      if (err) return callback(err);
+      callback(null, this.changes > 0 ? 'recovery' : null);
+    }
+  );
+}
+
+// Attempt limits per client IP address. Accounts are also locked after failed logins in a row
+// (users.failed_login_count), so spreading attempts over many addresses does not help either.
+const loginLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 20 });
+const registerLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 10 });
+const passwordResetLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 5 });
+const ACCOUNT_LOCK_ATTEMPTS = 5;
+const ACCOUNT_LOCK_MINUTES = 15;
+
+// Count a wrong password or code; the last allowed attempt locks the account and starts counting again
+function recordFailedLogin(req, user, callback) {
+  loginLimiter.hit(req.ip);
+  db.run(
+    `UPDATE users SET
+       failed_login_count = CASE WHEN failed_login_count + 1 >= ? THEN 0 ELSE failed_login_count + 1 END,
+       locked_until = CASE WHEN failed_login_count + 1 >= ? THEN datetime('now', ?) ELSE locked_until END
+     WHERE id = ?`,
+    [ACCOUNT_LOCK_ATTEMPTS, ACCOUNT_LOCK_ATTEMPTS, `+${ACCOUNT_LOCK_MINUTES} minutes`, user.id],
+    (err) => {
+      if (err) console.error('Error recording failed login:', err);
+      callback();
+    }
+  );
+}
+
+// Seconds left of an account lockout, 0 when the account is not locked
+function lockoutSeconds(user) {
+  if (!user.locked_until) return 0;
+  const until = new Date(`${user.locked_until.replace(' ', 'T')}Z`).getTime();
+  return Math.max(Math.ceil((until - Date.now()) / 1000), 0);
+}
+
+function lockoutMessage(seconds) {
+  return `Zbyt wiele nieudanych prób logowania. Spróbuj ponownie za ${formatRetryAfter(seconds)}.`;
+}
+
+// Log the user in on a new session id, so an id planted in the browser before login is useless
+function startSession(req, user, callback) {
+  req.session.regenerate((err) => {
+    if (err) return callback(err);
+    req.session.user = { id: user.id, email: user.email, username: user.username, role: user.role };
+    db.run(
+      `INSERT INTO user_sessions (sid, user_id, ip, user_agent) VALUES (?, ?, ?, ?)`,
+      [req.sessionID, user.id, req.ip, String(req.get('User-Agent') || '').substring(0, 300)],
+      callback
+    );
+  });
+}
+
+// Active sessions of a user, newest first. Sessions that expired in the store are dropped.
+function listSessions(userId, callback) {
+  db.all(`SELECT * FROM user_sessions WHERE user_id = ? ORDER BY last_seen_at DESC`, [userId], (err, rows) => {
+    if (err) return callback(err);
+    const active = [];
+    let pending = rows.length;
+    if (pending === 0) return callback(null, active);
+    rows.forEach((row) => {
+      sessionStore.get(row.sid, (getErr, data) => {
+        if (!getErr && data && data.user && data.user.id === userId) {
+          active.push(row);
+        } else if (!getErr) {
+          db.run(`DELETE FROM user_sessions WHERE id = ?`, [row.id]);
+        }
+        if (--pending === 0) {
+          callback(null, rows.filter((r) => active.includes(r)));
+        }
+      });
+    });
+  });
+}
+
+// Close the live connections (chat rooms, typing) opened with a login session that has ended
+function disconnectSessionSockets(sid) {
+  io.in(`session_${sid}`).disconnectSockets(true);
+}
+
+// Log out sessions of a user: one session by `sessionId`, or all of them except `keepSid`
+function revokeSessions(userId, { sessionId = null, keepSid = '' }, callback) {
+  db.all(
+    `SELECT id, sid FROM user_sessions WHERE user_id = ? AND sid != ? AND (? IS NULL OR id = ?)`,
+    [userId, keepSid, sessionId, sessionId],
+    (err, rows) => {
+      if (err) return callback(err);
+      let pending = rows.length;
+      if (pending === 0) return callback(null, 0);
+      rows.forEach((row) => {
+        sessionStore.destroy(row.sid, (destroyErr) => {
+          if (destroyErr) console.error('Error destroying session:', destroyErr);
+          disconnectSessionSockets(row.sid);
+          db.run(`DELETE FROM user_sessions WHERE id = ?`, [row.id], () => {
+            if (--pending === 0) callback(null, rows.length);
+          });
+        });
+      });
+    }
+  );
+}
+
+// Store fingerprint of a job's original file
+function saveFingerprint(jobId, fp, callback) {
+  db.run(
+    `UPDATE jobs SET
+      file_size = ?,
+      file_crc32 = ?,
+      file_sha256 = ?,
+      ecu_detected_manufacturer = ?,
+      ecu_detected_family = ?,
+      ecu_hw_number = ?,
+      ecu_sw_number = ?,
+      ecu_calibration_id = ?
+    WHERE id = ?`,
+    [fp.size, fp.crc32, fp.sha256, fp.manufacturer, fp.family, fp.hw_number, fp.sw_number, fp.calibration_id, jobId],
+    callback
+  );
+}
+
+// Add a revision to the job's file history. The file has been checked, so its hash is known
+function recordJobFile(jobId, kind, version, file, uploadedBy, note, callback) {
+  db.run(
+    `INSERT INTO job_files (job_id, kind, version, stored_filename, original_filename, uploaded_by, sha256, file_size, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [jobId, kind, version, file.filename, file.originalname, uploadedBy, file.sha256 || null, file.size, note || null],
+    callback
+  );
+}
+
+// Store checked attachments in the job's directory and record them, callback(err, attachments)
+function saveAttachments(jobId, files, uploadedBy, output, callback) {
+  const saved = [];
+  let index = 0;
+  const saveNext = () => {
+    if (index >= files.length) return callback(null, saved);
+    const file = files[index++];
+    storeUpload(jobId, file, () => {
+      db.run(
+        `INSERT INTO job_attachments (job_id, type, output, stored_filename, original_filename, uploaded_by, sha256, file_size)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [jobId, file.type, output ? 1 : 0, file.filename, file.originalname, uploadedBy, file.sha256, file.size],
+        function (err) {
+          if (err) return callback(err);
+          saved.push({ id: this.lastID, type: file.type, original_filename: file.originalname });
+          saveNext();
+        }
+      );
+    });
+  };
+  saveNext();
+}
+
+// Attachments of a job, oldest first
+function loadAttachments(jobId, callback) {
+  db.all(
+    `SELECT job_attachments.*, users.username AS uploaded_by_name, ${FROM_STAFF} AS from_staff
+     FROM job_attachments
+     LEFT JOIN users ON job_attachments.uploaded_by = users.id
+     WHERE job_attachments.job_id = ?
+     ORDER BY job_attachments.id`,
+    [jobId],
+    callback
+  );
+}
+
+// Download name for a processed file revision: service tags plus version if it was corrected
+function processedDownloadName(job, version) {
+  const suffix = services.fileSuffix(JSON.parse(job.options || '{}'));
+
+  const versionSuffix = version > 1 ? `_v${version}` : '';
+
+  // Split filename to insert suffix before extension
+  const parts = job.original_filename.split('.');
+  const ext = parts.length > 1 ? parts.pop() : '';
+  const base = parts.join('.');
+  return ext ? `${base}_processed${suffix}${versionSuffix}.${ext}` : `${base}_processed${suffix}${versionSuffix}`;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Pick the most specific price for an option: make + ECU family, then ECU family, then make, then default
+function findPrice(prices, optionKey, vehicleMake, ecuController) {
+  const make = String(vehicleMake || '').toLowerCase();
+  const ecu = String(ecuController || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  let best = null;
+  let bestScore = -1;
+  prices.forEach((price) => {
+    if (price.option_key !== optionKey) return;
+    if (price.vehicle_make && price.vehicle_make.toLowerCase() !== make) return;
+    if (price.ecu_family && !ecu.includes(price.ecu_family.toUpperCase().replace(/[^A-Z0-9]/g, ''))) return;
+    const score = (price.vehicle_make ? 1 : 0) + (price.ecu_family ? 2 : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      best = price;
+    }
+  });
+  return best;
+}
+
+// Quote for the selected options, callback(err, { items, net, vat_rate, vat, gross })
+function calculateQuote(options, vehicleMake, ecuController, callback) {
+  db.all(`SELECT * FROM price_list`, (err, prices) => {
+    if (err) return callback(err);
+    const items = [];
+    services.list().forEach((service) => {
+      if (!options[service.key]) return;
+      const price = findPrice(prices, service.key, vehicleMake, ecuController);
+      items.push({ option: service.key, label: service.label, net: price ? price.net_price : 0, priced: !!price });
+    });
+    const net = roundMoney(items.reduce((sum, item) => sum + item.net, 0));
+    const vat = roundMoney(net * VAT_RATE / 100);
+    callback(null, { items, net, vat_rate: VAT_RATE, vat, gross: roundMoney(net + vat) });
+  });
+}
+
+// Recalculate and store the quote of a job
+function refreshJobQuote(jobId, callback) {
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) return callback(err || new Error('Job not found'));
+    calculateQuote(JSON.parse(job.options || '{}'), job.vehicle_make, job.ecu_controller, (quoteErr, quote) => {
+      if (quoteErr) return callback(quoteErr);
+      db.run(
+        `UPDATE jobs SET quote_net = ?, quote_gross = ? WHERE id = ?`,
+        [quote.net, quote.gross, jobId],
+        (updateErr) => callback(updateErr, quote)
+      );
+    });
+  });
+}
+
+// User whose credits pay for a job: the owner of the organisation it was ordered for, otherwise the client
+const JOB_PAYER = `COALESCE((SELECT owner_id FROM organizations WHERE organizations.id = jobs.organization_id), jobs.user_id)`;
+
+// Jobs the user ordered or that were ordered for the user's organisation, takes [userId, userId]
+const SHARED_JOBS = `(jobs.user_id = ? OR jobs.organization_id IN (SELECT organization_id FROM users WHERE id = ?))`;
+
+// Issue the invoice of a completed job (once per job), callback(err, invoice)
+function issueInvoice(jobId, callback) {
+  db.get(`SELECT * FROM invoices WHERE job_id = ?`, [jobId], (err, existing) => {
+    if (err) return callback(err);
+    if (existing) return callback(null, existing);
+    db.get(`SELECT jobs.*, ${JOB_PAYER} AS payer_id FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+      if (err || !job) return callback(err || new Error('Job not found'));
+      calculateQuote(JSON.parse(job.options || '{}'), job.vehicle_make, job.ecu_controller, (quoteErr, quote) => {
+        if (quoteErr) return callback(quoteErr);
+        // Numbering restarts every month: FV/2026/01/0001
+        const now = new Date();
+        const year = now.getFullYear();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        db.get(
+          `SELECT COUNT(*) AS count FROM invoices WHERE invoice_number LIKE ?`,
+          [`FV/${year}/${month}/%`],
+          (countErr, row) => {
+            if (countErr) return callback(countErr);
+            const invoiceNumber = `FV/${year}/${month}/${String(row.count + 1).padStart(4, '0')}`;
+            db.run(
+              `INSERT INTO invoices (invoice_number, job_id, user_id, items, net_amount, vat_rate, vat_amount, gross_amount)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [invoiceNumber, job.id, job.payer_id, JSON.stringify(quote.items), quote.net, quote.vat_rate, quote.vat, quote.gross],
+              function (insertErr) {
+                if (insertErr) return callback(insertErr);
+                db.get(`SELECT * FROM invoices WHERE id = ?`, [this.lastID], callback);
+              }
+            );
+          }
+        );
+      });
+    });
+  });
+}
+
+// Current credit balance of a user, callback(err, balance)
+function getBalance(userId, callback) {
+  db.get(
+    `SELECT COALESCE(SUM(amount), 0) AS balance FROM credit_ledger WHERE user_id = ?`,
+    [userId],
+    (err, row) => callback(err, row ? roundMoney(row.balance) : 0)
+  );
+}
+
+// Bring the payment of a job in line with its quote: debit what is still due if the balance allows,
+// refund an overpayment (e.g. after options were removed). callback(err, paid)
+function settleJobPayment(jobId, callback) {
+  db.get(
+    `SELECT jobs.*, ${JOB_PAYER} AS payer_id,
+            COALESCE((SELECT -SUM(amount) FROM credit_ledger WHERE credit_ledger.job_id = jobs.id), 0) AS amount_paid
+     FROM jobs WHERE jobs.id = ?`,
+    [jobId],
+    (err, job) => {
+      if (err || !job) return callback(err || new Error('Job not found'));
+      const due = roundMoney((job.quote_gross || 0) - job.amount_paid);
+
+      const markPaid = (paid) => {
+        db.run(
+          `UPDATE jobs SET paid_at = ${paid ? 'COALESCE(paid_at, CURRENT_TIMESTAMP)' : 'NULL'} WHERE id = ?`,
+          [jobId],
+          (updateErr) => callback(updateErr, paid)
+        );
+      };
+
+      if (due === 0) {
+        return markPaid(true);
+      }
+      if (due < 0) {
+        return db.run(
+          `INSERT INTO credit_ledger (user_id, amount, type, job_id, note) VALUES (?, ?, 'refund', ?, ?)`,
+          [job.payer_id, -due, jobId, `Zwrot nadpłaty za zlecenie #${jobId}`],
+          (insertErr) => (insertErr ? callback(insertErr) : markPaid(true))
+        );
+      }
+      // Balance check and debit in one statement, so two settlements at once cannot overdraw the account
+      db.run(
+        `INSERT INTO credit_ledger (user_id, amount, type, job_id, note)
+         SELECT ?, ?, 'debit', ?, ?
+         WHERE ROUND((SELECT COALESCE(SUM(amount), 0) FROM credit_ledger WHERE user_id = ?), 2) >= ?`,
+        [job.payer_id, -due, jobId, `Opłata za zlecenie #${jobId}`, job.payer_id, due],
+        function (insertErr) {
+          if (insertErr) return callback(insertErr);
+          markPaid(this.changes > 0);
+        }
+      );
+    }
+  );
+}
+
+// Tell the client about a change in their job: in-app notification, live Socket.io event and email
+function notifyClient(jobId, type, data) {
+  db.get(
+    `SELECT jobs.id, jobs.user_id, jobs.original_filename, users.email
+     FROM jobs JOIN users ON jobs.user_id = users.id
+     WHERE jobs.id = ?`,
+    [jobId],
+    (err, job) => {
+      if (err || !job) {
+        if (err) console.error('Error loading job for client notification:', err);
+        return;
+      }
+      const eventData = { job_id: job.id, original_filename: job.original_filename, ...data };
+      const event = `client_${type}`;
+      const message = NOTIFICATION_EVENTS[event].message(eventData);
+      db.run(
+        `INSERT INTO user_notifications (user_id, job_id, type, message) VALUES (?, ?, ?, ?)`,
+        [job.user_id, job.id, type, message],
+        function (insertErr) {
+          if (insertErr) {
+            console.error('Error saving client notification:', insertErr);
+            return;
+          }
+          io.to(`user_${job.user_id}`).emit('notification', {
+            id: this.lastID,
+            job_id: job.id,
+            type,
+            message,
+            created_at: new Date().toISOString(),
+          });
+        }
+      );
+      notifier.notify(event, eventData, { recipient: job.email });
+    }
+  );
+}
+
+// Send a job lifecycle event to the webhooks of the job owner and of admins
+function jobWebhook(event, jobId, data) {
+  db.get(`SELECT id, user_id, status, original_filename FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      if (err) console.error('Error loading job for webhooks:', err);
+      return;
+    }
+    webhooks.dispatch(event, job.user_id, {
+      job_id: job.id,
+      user_id: job.user_id,
+      status: job.status,
+      original_filename: job.original_filename,
+      ...data,
+    });
+  });
+}
+
+// Whether the joined `users` row belongs to the service staff
+const FROM_STAFF = `users.role IN (SELECT name FROM roles WHERE staff = 1)`;
+
+// Users who can work on jobs and have them assigned
+const TUNER_ROLES = `users.role IN (SELECT role FROM role_permissions WHERE permission = 'jobs.process')`;
+
+// Socket.io room of the staff handling a job: the assigned tuner, or every admin while it is unassigned
+function tunerRoom(job) {
+  return job.assigned_to ? `user_${job.assigned_to}` : 'admin';
+}
+
+// Emit a staff notification about a job to its tuner
+function notifyTuner(jobId, event, data) {
+  db.get(`SELECT id, assigned_to FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      if (err) console.error('Error loading job for tuner notification:', err);
+      return;
+    }
+    io.to(tunerRoom(job)).emit(event, data);
+  });
+}
+
+// Assign a job to an admin, or return it to the unassigned queue with a null assigneeId.
+// callback(err, assignee)
+function assignJob(jobId, assigneeId, actor, callback) {
+  // Calls back with the new assignee and the id of the previous one
+  const update = (assignee) => {
+    db.get(`SELECT assigned_to FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+      if (err) return callback(err);
+      if (!job) {
+        return callback(httpError(404, 'not_found', 'Job not found'));
+      }
+      db.run(
+        `UPDATE jobs SET assigned_to = ?, assigned_at = ${assignee ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`,
+        [assignee ? assignee.id : null, jobId],
+        (updateErr) => {
+          if (updateErr) return callback(updateErr);
+          if (assignee && assignee.id !== actor.id) {
+            io.to(`user_${assignee.id}`).emit('jobAssigned', { job_id: Number(jobId), assigned_by: actor.username });
+          }
+          callback(null, assignee, job.assigned_to);
+        }
+      );
+    });
+  };
+  if (!assigneeId) {
+    return update(null);
+  }
+  db.get(`SELECT id, username FROM users WHERE id = ? AND ${TUNER_ROLES}`, [assigneeId], (err, assignee) => {
+    if (err) return callback(err);
+    if (!assignee) {
+      return callback(httpError(400, 'validation_error', 'Zlecenie można przypisać tylko osobie obsługującej zlecenia'));
+    }
+    update(assignee);
+  });
+}
+
+// Add an entry to the status timeline of a job
+function recordJobEvent(jobId, fromStatus, toStatus, actorId, comment, callback) {
+  db.run(
+    `INSERT INTO job_events (job_id, from_status, to_status, actor_id, comment) VALUES (?, ?, ?, ?, ?)`,
+    [jobId, fromStatus, toStatus, actorId, comment || null],
+    callback
+  );
+}
+
+// Move a job to another status if the workflow allows it and record the change.
+// callback(err, job) gets the job as it was before the change.
+function changeJobStatus(jobId, toStatus, actorId, comment, callback) {
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err) return callback(err);
+    if (!job) return callback(httpError(404, 'not_found', 'Job not found'));
+    if (!canTransition(job.status, toStatus)) {
+      return callback(
+        httpError(409, 'invalid_transition', `Nie można zmienić statusu z "${statusLabel(job.status)}" na "${statusLabel(toStatus)}"`)
+      );
+    }
+    // Matching the old status as well keeps two concurrent changes from both succeeding
+    db.run(
+      `UPDATE jobs SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+      [toStatus, job.id, job.status],
+      function (updateErr) {
+        if (updateErr) return callback(updateErr);
+        if (this.changes === 0) {
+          return callback(httpError(409, 'invalid_transition', 'Status zadania został w międzyczasie zmieniony'));
+        }
+        recordJobEvent(job.id, job.status, toStatus, actorId, comment, (eventErr) => {
+          if (eventErr) console.error('Error recording job event:', eventErr);
+          jobWebhook('job.status_changed', job.id, { from_status: job.status, to_status: toStatus, comment: comment || null });
+          callback(null, job);
+        });
+      }
+    );
+  });
+}
+
+// Status timeline of a job, oldest first
+function loadJobEvents(jobId, callback) {
+  db.all(
+    `SELECT job_events.*, users.username AS actor_name, users.role AS actor_role, ${FROM_STAFF} AS actor_staff
+     FROM job_events
+     LEFT JOIN users ON job_events.actor_id = users.id
+     WHERE job_events.job_id = ?
+     ORDER BY job_events.created_at ASC, job_events.id ASC`,
+    [jobId],
+    callback
+  );
+}
+
+// One page of jobs matching the list filters (see jobsearch.js for `scope`), `columnParams` are bound
+// to placeholders in `columns`. callback(err, jobs, pagination)
+function searchJobs(filters, scope, columns, columnParams, callback) {
+  const query = buildJobQuery(filters, scope);
+  const from = `FROM jobs
+     JOIN users ON jobs.user_id = users.id
+     LEFT JOIN users AS assignees ON jobs.assigned_to = assignees.id
+     LEFT JOIN organizations ON jobs.organization_id = organizations.id`;
+  db.get(
+    `SELECT COUNT(*) AS total ${from} ${query.where}`,
+    query.params,
+    (err, row) => {
+      if (err) return callback(err);
+      const pages = Math.max(Math.ceil(row.total / filters.per_page), 1);
+      const page = Math.min(filters.page, pages);
+      db.all(
+        `SELECT ${columns}
+         ${from}
+         ${query.where}
+         ORDER BY ${query.orderBy}
+         LIMIT ? OFFSET ?`,
+        columnParams.concat(query.params, [filters.per_page, (page - 1) * filters.per_page]),
+        (listErr, jobs) => {
+          if (listErr) return callback(listErr);
+          callback(null, jobs, { page, pages, total: row.total });
+        }
+      );
+    }
+  );
+}
+
+// Organisation the user belongs to with the owner's name, callback(err, organization or null)
+function loadOrganization(userId, callback) {
+  db.get(
+    `SELECT organizations.*, owners.username AS owner_name, owners.email AS owner_email
+     FROM users
+     JOIN organizations ON users.organization_id = organizations.id
+     JOIN users AS owners ON organizations.owner_id = owners.id
+     WHERE users.id = ?`,
+    [userId],
+    (err, organization) => callback(err, organization || null)
+  );
+}
+
+// Put a client account into an organisation. Staff accounts and members of another organisation are
+// refused, jobs ordered before joining stay private. callback(err)
+function joinOrganization(userId, organizationId, callback) {
+  db.get(`SELECT id, role, organization_id FROM users WHERE id = ?`, [userId], (err, user) => {
+    if (err) return callback(err);
+    if (!user) return callback(httpError(404, 'not_found', 'Nie znaleziono użytkownika'));
+    if (permissions.isStaff(user.role)) {
+      return callback(httpError(400, 'validation_error', 'Konta obsługi nie mogą należeć do organizacji'));
+    }
+    if (user.organization_id && user.organization_id !== organizationId) {
+      return callback(httpError(400, 'validation_error', 'Użytkownik należy już do innej organizacji'));
+    }
+    db.run(`UPDATE users SET organization_id = ? WHERE id = ?`, [organizationId, userId], callback);
+  });
+}
+
+// Take a member (never the owner) out of the organisation, their jobs become private again.
+// callback(err, removed)
+function leaveOrganization(userId, organizationId, callback) {
+  db.run(
+    `UPDATE users SET organization_id = NULL
+     WHERE id = ? AND organization_id = ? AND id != (SELECT owner_id FROM organizations WHERE id = ?)`,
+    [userId, organizationId, organizationId],
+    function (err) {
+      if (err) return callback(err);
+      if (this.changes === 0) return callback(null, false);
+      db.run(
+        `UPDATE jobs SET organization_id = NULL WHERE user_id = ? AND organization_id = ?`,
+        [userId, organizationId],
+        (jobsErr) => callback(jobsErr, true)
+      );
+    }
+  );
+}
+
+// Error carrying an HTTP status and a code, returned by helpers shared by the HTML routes and /api/v1
+function httpError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+// Checkbox value from an HTML form ('on') or an API request (true, 'true', '1')
+function isChecked(value) {
+  return value === true || value === 1 || value === 'on' || value === 'true' || value === '1';
+}
+
+// Job fields from a form or API request body
+function parseJobFields(body) {
+  // Selected services that clients can order, with their parameters
+  const options = {};
+  services.active().forEach((service) => {
+    options[service.key] = isChecked(body[service.key]);
+    if (!options[service.key]) return;
+    service.params.forEach((param) => {
+      options[param.key] = body[param.key];
+    });
+  });
+  return {
+    options,
+    notes: body.notes || '',
+    vehicle_make: body.vehicle_make || '',
+    vehicle_model: body.vehicle_model || '',
+    vehicle_year: body.vehicle_year ? parseInt(body.vehicle_year) : null,
+    ecu_controller: body.ecu_controller,
+    catalog_engine_id: body.catalog_engine_id ? parseInt(body.catalog_engine_id) || null : null,
+  };
+}
+
+// Check the job fields, the parameters of its services and the vehicle against the catalog (which sets
+// fields.vehicle_engine), callback(err)
+function validateJobFields(fields, callback) {
+  const maxYear = new Date().getFullYear() + 1;
+  if (fields.vehicle_year !== null && (isNaN(fields.vehicle_year) || fields.vehicle_year < 1950 || fields.vehicle_year > maxYear)) {
+    return callback(httpError(400, 'validation_error', `Rok produkcji musi być liczbą z zakresu 1950-${maxYear}`));
+  }
+  const optionsProblem = services.checkOptions(fields.options);
+  if (optionsProblem) return callback(httpError(400, 'validation_error', optionsProblem));
+  catalog.checkJobFields(fields, (err, problem) => {
+    if (err) return callback(err);
+    callback(problem ? httpError(400, 'validation_error', problem) : null);
+  });
+}
+
+// Create a job from an uploaded original file and its attachments, callback(err, jobId)
+function createJob(user, file, attachments, fields, callback) {
+  validateJobFields(fields, (validationErr) => {
+    if (validationErr) {
+      discardUploads([file, ...attachments]);
+      return callback(validationErr);
+    }
+    storeNewJob(user, file, attachments, fields, callback);
+  });
+}
+
+// Insert a validated job and move its files into place, callback(err, jobId)
+function storeNewJob(user, file, attachments, fields, callback) {
+  checkUploadedFiles([file, ...attachments], (checkErr) => {
+    if (checkErr) return callback(checkErr);
+    fingerprintFile(file.path, (fpErr, fp) => {
+      if (fpErr) {
+        // Not fatal - the job is still created, the admin view retries the detection
+        console.error('Error fingerprinting upload:', fpErr);
+        fp = {};
+      }
+      // The same binary uploaded before is linked to the latest job that had it
+      db.get(`SELECT MAX(id) AS id FROM jobs WHERE file_sha256 = ?`, [file.sha256], (dupErr, previous) => {
+        if (dupErr) {
+          discardUploads([file, ...attachments]);
+          return callback(dupErr);
+        }
+        db.run(
+          `INSERT INTO jobs (user_id, organization_id, original_filename, stored_filename, options, notes, status, vehicle_make, vehicle_model, vehicle_year, ecu_controller,
+             catalog_engine_id, vehicle_engine, file_size, file_crc32, file_sha256, ecu_detected_manufacturer, ecu_detected_family, ecu_hw_number, ecu_sw_number,
+             ecu_calibration_id, duplicate_of)
+           VALUES (?, (SELECT organization_id FROM users WHERE id = ?), ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            user.id,
+            user.id,
+            file.originalname,
+            `tmp/${file.filename}`,
+            JSON.stringify(fields.options),
+            fields.notes,
+            fields.vehicle_make,
+            fields.vehicle_model,
+            fields.vehicle_year,
+            fields.ecu_controller,
+            fields.catalog_engine_id,
+            fields.vehicle_engine,
+            fp.size || file.size,
+            fp.crc32 || null,
+            file.sha256,
+            fp.manufacturer || null,
+            fp.family || null,
+            fp.hw_number || null,
+            fp.sw_number || null,
+            fp.calibration_id || null,
+            previous.id,
+          ],
+          function (err) {
+            if (err) {
+              discardUploads([file, ...attachments]);
+              return callback(err);
+            }
+            const jobId = this.lastID;
+            dtcLibrary.setJobCodes(jobId, services.dtcCodes(fields.options), (codesErr) => {
+              if (codesErr) console.error('Error saving job DTC codes:', codesErr);
+            });
+            storeUpload(jobId, file, () => {
+              db.run(`UPDATE jobs SET stored_filename = ? WHERE id = ?`, [file.filename, jobId], (updateErr) => {
+                if (updateErr) console.error('Error saving stored filename:', updateErr);
+              });
+              saveAttachments(jobId, attachments, user.id, false, (attachErr) => {
+                if (attachErr) console.error('Error saving attachments:', attachErr);
+                jobCreated(jobId, user, file, previous.id, callback);
+              });
+            });
+          }
+        );
+      });
+    });
+  });
+}
+
+// Events, file history, quote and payment of a new job, callback(err, jobId)
+function jobCreated(jobId, user, file, duplicateOf, callback) {
+  recordJobEvent(jobId, null, 'pending', user.id, null, (eventErr) => {
+    if (eventErr) console.error('Error recording job event:', eventErr);
+  });
+
+  // Notify admins about new job via Socket.io
+  io.to('admin').emit('newJob', {
+    id: jobId,
+    user_id: user.id,
+    username: user.username,
+    original_filename: file.originalname,
+    duplicate_of: duplicateOf,
+    created_at: new Date().toISOString()
+  });
+
+  notifier.notify('new_job', {
+    job_id: jobId,
+    username: user.username,
+    original_filename: file.originalname,
+  });
+  jobWebhook('job.created', jobId, { username: user.username });
+
+  // File history, quote and payment are not fatal - the job exists already
+  recordJobFile(jobId, 'original', 0, file, user.id, null, (fileErr) => {
+    if (fileErr) console.error('Error recording original file:', fileErr);
+    refreshJobQuote(jobId, (quoteErr) => {
+      if (quoteErr) {
+        console.error('Error calculating quote:', quoteErr);
+        return callback(null, jobId);
+      }
+      settleJobPayment(jobId, (payErr) => {
+        if (payErr) console.error('Error charging job:', payErr);
+        callback(null, jobId);
+      });
+    });
+  });
+}
+
+// Update a pending job of the user and bring its quote and payment up to date, callback(err)
+function updateJob(jobId, user, fields, callback) {
+  db.get(`SELECT * FROM jobs WHERE id = ? AND user_id = ?`, [jobId, user.id], (err, existingJob) => {
+    if (err) return callback(err);
+    if (!existingJob) return callback(httpError(404, 'not_found', 'Job not found'));
+    if (existingJob.status !== 'pending') {
+      return callback(httpError(403, 'job_not_editable', 'Można edytować tylko oczekujące zadania'));
+    }
+    validateJobFields(fields, (validationErr) => {
+      if (validationErr) return callback(validationErr);
+      saveJobChanges(jobId, user, fields, callback);
+    });
+  });
+}
+
+// Save the validated changes of a pending job, callback(err)
+function saveJobChanges(jobId, user, fields, callback) {
+  db.run(
+    `UPDATE jobs SET
+      options = ?,
+      notes = ?,
+      vehicle_make = ?,
+      vehicle_model = ?,
+      vehicle_year = ?,
+      ecu_controller = ?,
+      catalog_engine_id = ?,
+      vehicle_engine = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?`,
+    [
+      JSON.stringify(fields.options),
+      fields.notes,
+      fields.vehicle_make,
+      fields.vehicle_model,
+      fields.vehicle_year,
+      fields.ecu_controller,
+      fields.catalog_engine_id,
+      fields.vehicle_engine,
+      jobId,
+      user.id,
+    ],
+    (updateErr) => {
+      if (updateErr) return callback(updateErr);
+      dtcLibrary.setJobCodes(jobId, services.dtcCodes(fields.options), (codesErr) => {
+        if (codesErr) console.error('Error saving job DTC codes:', codesErr);
+      });
+      refreshJobQuote(jobId, (quoteErr) => {
+        if (quoteErr) {
+          console.error('Error calculating quote:', quoteErr);
+          return callback(null);
+        }
+        settleJobPayment(jobId, (payErr) => {
+          if (payErr) {
+            console.error('Error charging job:', payErr);
+          }
+          callback(null);
+        });
+      });
+    }
+  );
+}
+
+// Open a problem report for the user's completed job, callback(err, reportId)
+function reportProblem(jobId, user, description, callback) {
+  if (!description || !String(description).trim()) {
+    return callback(httpError(400, 'validation_error', 'Opis problemu jest wymagany'));
+  }
+  description = String(description).trim();
+
+  // Check if job belongs to user and is completed
+  db.get(
+    `SELECT * FROM jobs WHERE id = ? AND user_id = ? AND status = 'completed'`,
+    [jobId, user.id],
+    (err, job) => {
+      if (err) return callback(err);
+      if (!job) {
+        return callback(httpError(403, 'problem_not_allowed', 'Nie możesz zgłosić problemu z tym zadaniem'));
+      }
+
+      // Check if problem already reported
+      db.get(
+        `SELECT * FROM problem_reports WHERE job_id = ? AND status = 'open'`,
+        [jobId],
+        (err, existingReport) => {
+          if (err) return callback(err);
+          if (existingReport) {
+            return callback(httpError(409, 'problem_already_reported', 'Problem z tym zadaniem został już zgłoszony'));
+          }
+
+          changeJobStatus(jobId, 'reopened', user.id, description, (statusErr) => {
+            if (statusErr) return callback(statusErr);
+            db.run(
+              `INSERT INTO problem_reports (job_id, reported_by, description, status) VALUES (?, ?, ?, 'open')`,
+              [jobId, user.id, description],
+              function (err) {
+                if (err) return callback(err);
+
+                // Notify the tuner (or all admins for unassigned jobs) about problem report
+                io.to(tunerRoom(job)).emit('problemReport', {
+                  id: this.lastID,
+                  job_id: jobId,
+                  reported_by: user.id,
+                  username: user.username,
+                  original_filename: job.original_filename,
+                  description,
+                  created_at: new Date().toISOString()
+                });
+
+                notifier.notify('problem_report', {
+                  job_id: jobId,
+                  username: user.username,
+                  original_filename: job.original_filename,
+                  description,
+                });
+                jobWebhook('problem.reported', jobId, { problem_id: this.lastID, description });
+
+                callback(null, this.lastID);
+              }
+            );
+          });
+        }
+      );
+    }
+  );
+}
+
+// Chat messages with their authors and the file sent with them
+const MESSAGE_QUERY = `SELECT messages.*, users.username AS user_name, users.role AS user_role, ${FROM_STAFF} AS from_staff,
+         job_attachments.original_filename AS attachment_name, job_attachments.type AS attachment_type
+  FROM messages
+  JOIN users ON messages.user_id = users.id
+  LEFT JOIN job_attachments ON messages.attachment_id = job_attachments.id`;
+
+// Whether the chat can show the message's attachment as an image
+function withAttachmentPreview(msg) {
+  msg.attachment_image = !!msg.attachment_id && IMAGE_EXTENSIONS.includes(path.extname(msg.attachment_name || '').toLowerCase());
+  return msg;
+}
+
+// Chat messages of a job, oldest first
+function listMessages(jobId, callback) {
+  db.all(`${MESSAGE_QUERY} WHERE messages.job_id = ? ORDER BY messages.created_at ASC, messages.id ASC`, [jobId], callback);
+}
+
+const MESSAGE_PAGE_SIZE = 50;
+
+// The newest chat messages of a job, or those before the message `before`, oldest first.
+// callback(err, messages, hasMore)
+function listMessagePage(jobId, before, limit, callback) {
+  db.all(
+    `${MESSAGE_QUERY} WHERE messages.job_id = ? AND (? IS NULL OR messages.id < ?) ORDER BY messages.id DESC LIMIT ?`,
+    [jobId, before, before, limit + 1],
+    (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.slice(0, limit).reverse().map(withAttachmentPreview), rows.length > limit);
+    }
+  );
+}
+
+// Chat side of a message author or reader: staff answer for the service, everyone else for the client
+const STAFF_AUTHOR = (alias) => `(${alias}.role IN (SELECT name FROM roles WHERE staff = 1))`;
+
+// Chat messages of the job from the other side than the viewer, newer than the viewer's read marker
+// and than the last message from the viewer's side (an answer means the messages before it were read).
+// Takes [viewerStaff, userId, viewerStaff]
+const UNREAD_MESSAGES = `(SELECT COUNT(*) FROM messages AS unread
+   JOIN users AS unread_authors ON unread.user_id = unread_authors.id
+   WHERE unread.job_id = jobs.id AND ${STAFF_AUTHOR('unread_authors')} <> ?
+     AND unread.id > COALESCE((SELECT last_read_id FROM message_reads
+                               WHERE message_reads.job_id = jobs.id AND message_reads.user_id = ?), 0)
+     AND unread.id > COALESCE((SELECT MAX(answers.id) FROM messages AS answers
+                               JOIN users AS answer_authors ON answers.user_id = answer_authors.id
+                               WHERE answers.job_id = jobs.id AND ${STAFF_AUTHOR('answer_authors')} = ?), 0))`;
+
+// Newest message the other side has seen - by its read markers or by answering. callback(err, id)
+function messagesReadUpTo(jobId, viewerStaff, callback) {
+  const staff = viewerStaff ? 1 : 0;
+  db.get(
+    `SELECT MAX(
+       COALESCE((SELECT MAX(message_reads.last_read_id) FROM message_reads
+                 JOIN users AS readers ON message_reads.user_id = readers.id
+                 WHERE message_reads.job_id = ? AND ${STAFF_AUTHOR('readers')} <> ?), 0),
+       COALESCE((SELECT MAX(messages.id) FROM messages
+                 JOIN users AS authors ON messages.user_id = authors.id
+                 WHERE messages.job_id = ? AND ${STAFF_AUTHOR('authors')} <> ?), 0)
+     ) AS read_up_to`,
+    [jobId, staff, jobId, staff],
+    (err, row) => callback(err, row ? row.read_up_to : 0)
+  );
+}
+
+// Move the user's read marker of the job's chat forward to lastId (never back) and tell the other
+// side, callback(err)
+function markMessagesRead(jobId, user, lastId, callback) {
+  db.run(
+    `INSERT INTO message_reads (job_id, user_id, last_read_id)
+     SELECT ?, ?, MIN(?, MAX(id)) FROM messages WHERE job_id = ? HAVING MAX(id) IS NOT NULL
+     ON CONFLICT (job_id, user_id) DO UPDATE SET last_read_id = excluded.last_read_id, read_at = CURRENT_TIMESTAMP
+       WHERE excluded.last_read_id > message_reads.last_read_id`,
+    [jobId, user.id, lastId, jobId],
+    function (err) {
+      if (err) return callback(err);
+      if (this.changes === 0) return callback(null);
+      db.get(
+        `SELECT last_read_id FROM message_reads WHERE job_id = ? AND user_id = ?`,
+        [jobId, user.id],
+        (readErr, read) => {
+          if (readErr) return callback(readErr);
+          io.to(`job_${jobId}`).emit('messagesRead', {
+            job_id: Number(jobId),
+            user_id: user.id,
+            user_name: user.username,
+            from_staff: permissions.isStaff(user.role),
+            last_read_id: read.last_read_id,
+          });
+          callback(null);
+        }
+      );
+    }
+  );
+}
+
+// Add a chat message to a job the user has access to, optionally announcing an attachment sent from
+// the chat, callback(err, message)
+function postMessage(jobId, user, text, attachmentId, callback) {
+  if (!text || !String(text).trim()) {
+    return callback(httpError(400, 'validation_error', 'Message is required'));
+  }
+  db.run(
+    `INSERT INTO messages (job_id, user_id, message, attachment_id) VALUES (?, ?, ?, ?)`,
+    [jobId, user.id, String(text).trim(), attachmentId],
+    function (err) {
+      if (err) return callback(err);
+      // Get the inserted message with user info
+      db.get(
+        `${MESSAGE_QUERY} WHERE messages.id = ?`,
+        [this.lastID],
+        (err, msg) => {
+          if (err) return callback(err);
+          withAttachmentPreview(msg);
+          // Emit to room
+          io.to(`job_${jobId}`).emit('newMessage', msg);
+          if (!permissions.isStaff(user.role)) {
+            notifier.notify('new_message', { job_id: Number(jobId), username: msg.user_name, message: msg.message });
+          }
+          jobWebhook('message.created', jobId, {
+            message_id: msg.id,
+            author: msg.user_name,
+            from_staff: !!msg.from_staff,
+            message: msg.message,
+          });
+          callback(null, msg);
+        }
+      );
+    }
+  );
+}
+
+// Expose user and version to views
+app.use((req, res, next) => {
+  // Sessions started before roles existed
+  if (req.session.user && req.session.user.role === 'admin') {
+    req.session.user.role = SUPER_ADMIN;
+  }
+  res.locals.currentUser = req.session.user || null;
+  res.locals.appVersion = APP_VERSION;
+  res.locals.jobStatusLabels = JOB_STATUSES;
+  res.locals.attachmentTypes = ATTACHMENT_TYPES;
+  res.locals.tuningServices = services.list();
+  res.locals.can = (permission) => !!req.session.user && permissions.can(req.session.user.role, permission);
+  res.locals.isStaffRole = permissions.isStaff;
+  res.locals.roleLabel = permissions.roleLabel;
+  res.locals.uploadLimits = { accept: ALLOWED_EXTENSIONS.join(','), maxMb: UPLOAD_MAX_MB };
+  next();
+});
+
+// Pages still open while a password change forced by an admin is pending
+const PASSWORD_CHANGE_PATHS = ['/profile', '/profile/password', '/logout'];
+// Pages still open to staff who have not set up two-factor authentication yet
+const TWO_FACTOR_SETUP_PATHS = ['/profile/2fa', '/profile/2fa/enable', '/logout'];
+
+// How often a session's last activity is written to the session list
+const SESSION_SEEN_INTERVAL = 5 * 60 * 1000;
+
+// Account state that can change outside the session: the role, email verification, a forced password
+// change and two-factor authentication, which is mandatory for staff roles
+app.use((req, res, next) => {
+  res.locals.emailVerified = false;
+  if (!req.session.user) return next();
+  // Sessions from before the session list existed are added on their next request
+  if (!req.session.seenAt || Date.now() - req.session.seenAt > SESSION_SEEN_INTERVAL) {
+    req.session.seenAt = Date.now();
+    db.run(
+      `INSERT INTO user_sessions (sid, user_id, ip, user_agent) VALUES (?, ?, ?, ?)
+       ON CONFLICT(sid) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP, ip = excluded.ip`,
+      [req.sessionID, req.session.user.id, req.ip, String(req.get('User-Agent') || '').substring(0, 300)]
+    );
+  }
+  db.get(
+    `SELECT role, email_verified_at, password_reset_required, totp_enabled_at FROM users WHERE id = ?`,
+    [req.session.user.id],
+    (err, account) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      // A role changed by an admin applies from the next request on
+      if (account && account.role !== req.session.user.role) {
+        req.session.user.role = account.role;
+      }
+      req.emailVerified = !!(account && account.email_verified_at);
+      res.locals.emailVerified = req.emailVerified;
+      // The password is changed first, two-factor setup follows
+      if (account && account.password_reset_required) {
+        if (PASSWORD_CHANGE_PATHS.includes(req.path)) return next();
+        if (req.method === 'GET') return res.redirect('/profile');
+        return res.status(403).send('Najpierw ustaw nowe hasło');
+      }
+      if (
+        account &&
+        !account.totp_enabled_at &&
+        permissions.isStaff(req.session.user.role) &&
+        !TWO_FACTOR_SETUP_PATHS.includes(req.path)
+      ) {
+        if (req.method === 'GET') return res.redirect('/profile/2fa');
+        return res.status(403).send('Najpierw włącz weryfikację dwuetapową');
+      }
+      next();
+    }
+  );
+});
+
+// Routes
+app.get('/', (req, res) => {
+  if (!req.session.user) {
+    return res.render('index');
+  }
+  // Staff land on the first admin page their role may open, clients on the welcome page
+  return res.redirect(permissions.homePage(req.session.user.role));
+});
+
+app.get('/register', (req, res) => {
+  res.render('register', { error: null });
+});
+
+app.post('/register', (req, res) => {
+  const { username, email, password } = req.body || {};
+  const wait = registerLimiter.retryAfter(req.ip);
+  if (wait) {
+    return res.status(429).render('register', {
+      error: `Zbyt wiele rejestracji z tego adresu. Spróbuj ponownie za ${formatRetryAfter(wait)}.`,
+    });
+  }
+  registerLimiter.hit(req.ip);
+  if (!username || !email || !password) {
+    return res.render('register', { error: 'Nazwa użytkownika, email i hasło są wymagane.' });
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.render('register', { error: `Hasło musi mieć co najmniej ${MIN_PASSWORD_LENGTH} znaków.` });
+  }
+  const hash = bcrypt.hashSync(password, 10);
+  db.run(
+    `INSERT INTO users (email, password_hash, username, role) VALUES (?, ?, ?, 'client')`,
+    [email, hash, username],
+    function (err) {
+      if (err) {
+        console.error(err);
+        return res.render('register', { error: 'Email lub nazwa użytkownika jest już w użyciu lub wystąpił błąd.' });
+      }
+      const user = { id: this.lastID, email, username, role: 'client' };
+      startSession(req, user, (sessionErr) => {
+        if (sessionErr) {
+          console.error(sessionErr);
+          return res.status(500).send('Database error');
+        }
+        sendAccountToken(user, 'verify_email', email, (tokenErr) => {
+          if (tokenErr) console.error('Error sending verification email:', tokenErr);
+          // After registration, show the welcome page
+          res.redirect('/home');
+        });
+      });
+    }
+  );
+});
+
+app.get('/login', (req, res) => {
+  res.render('login', { error: null });
+});
+
+app.post('/login', (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res.render('login', { error: 'Email i hasło są wymagane.' });
+  }
+  const wait = loginLimiter.retryAfter(req.ip);
+  if (wait) {
+    return res.status(429).render('login', { error: lockoutMessage(wait) });
+  }
+  db.get(`SELECT * FROM users WHERE email = ?`, [email], (err, user) => {
+    if (err || !user) {
+      if (err) console.error(err);
+      loginLimiter.hit(req.ip);
+      return res.render('login', { error: 'Nieprawidłowe dane logowania.' });
+    }
+    const locked = lockoutSeconds(user);
+    if (locked) {
+      return res.status(429).render('login', { error: lockoutMessage(locked) });
+    }
+    const valid = bcrypt.compareSync(password, user.password_hash);
+    if (!valid) {
+      return recordFailedLogin(req, user, () => {
+        res.render('login', { error: 'Nieprawidłowe dane logowania.' });
+      });
+    }
+    // With two-factor authentication the session is only logged in after the code is checked
+    if (user.totp_enabled_at) {
+      req.session.pendingLogin = {
+        userId: user.id,
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_MINUTES * 60 * 1000,
+        attempts: 0,
+      };
+      return res.redirect('/login/2fa');
+    }
+    completeLogin(req, res, user);
+  });
+});
+
+function completeLogin(req, res, user) {
+  db.run(`UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?`, [user.id]);
+  startSession(req, user, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect(permissions.homePage(user.role));
+  });
+}
+
+// Second login step: a code from the authenticator app or a recovery code
+app.get('/login/2fa', (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingLogin;
+    return res.redirect('/login');
+  }
+  res.render('login_2fa', { error: null });
+});
+
+app.post('/login/2fa', (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending || pending.expiresAt < Date.now() || pending.attempts >= TWO_FACTOR_LOGIN_ATTEMPTS) {
+    delete req.session.pendingLogin;
+    return res.render('login', { error: 'Sesja logowania wygasła. Zaloguj się ponownie.' });
+  }
+  // Wrong codes count towards the same per-address limit as wrong passwords (recordFailedLogin)
+  const wait = loginLimiter.retryAfter(req.ip);
+  if (wait) {
+    return res.status(429).render('login_2fa', { error: lockoutMessage(wait) });
+  }
+  db.get(`SELECT * FROM users WHERE id = ?`, [pending.userId], (err, user) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!user || !user.totp_enabled_at) {
+      delete req.session.pendingLogin;
+      return res.redirect('/login');
+    }
+    const locked = lockoutSeconds(user);
+    if (locked) {
+      delete req.session.pendingLogin;
+      return res.status(429).render('login', { error: lockoutMessage(locked) });
+    }
+    checkSecondFactor(user, (req.body || {}).code, (checkErr, method) => {
+      if (checkErr) {
+        console.error(checkErr);
+        return res.status(500).send('Database error');
+      }
+      if (!method) {
+        pending.attempts++;
+        return recordFailedLogin(req, user, () => {
+          res.status(400).render('login_2fa', { error: 'Nieprawidłowy kod.' });
+        });
+      }
+      completeLogin(req, res, user);
+    });
+  });
+});
+
+// Confirm an email address from the link sent after registration or an email change
+app.get('/verify-email', (req, res) => {
+  findAccountToken(req.query.token, 'verify_email', (err, token) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!token) {
+      return res.status(400).render('login', { error: 'Link jest nieprawidłowy lub wygasł.' });
+    }
+    db.run(
+      `UPDATE users SET email = ?, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [token.email, token.user_id],
+      (updateErr) => {
+        if (updateErr) {
+          if (updateErr.message.includes('UNIQUE')) {
+            return res.status(400).render('login', { error: 'Ten adres email jest już używany przez inne konto.' });
+          }
+          console.error(updateErr);
+          return res.status(500).send('Database error');
+        }
+        db.run(
+          `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = 'verify_email' AND used_at IS NULL`,
+          [token.user_id]
+        );
+        if (req.session.user && req.session.user.id === token.user_id) {
+          req.session.user.email = token.email;
+          return res.redirect('/profile?notice=verified');
+        }
+        res.render('login', { error: null, notice: 'Adres email został potwierdzony. Możesz się zalogować.' });
+      }
+    );
+  });
+});
+
+// Send the verification link again
+app.post('/profile/verify', requireAuth, (req, res) => {
+  if (req.emailVerified) {
+    return res.redirect('/profile');
+  }
+  sendAccountToken(req.session.user, 'verify_email', req.session.user.email, (err) => {
+    if (err) {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect('/profile?notice=verification_sent');
+  });
+});
+
+app.get('/forgot-password', (req, res) => {
+  res.render('forgot_password', { notice: null, error: null });
+});
+
+// The answer is the same whether the account exists or not
+app.post('/forgot-password', (req, res) => {
+  const email = ((req.body || {}).email || '').trim();
+  const wait = passwordResetLimiter.retryAfter(req.ip);
+  if (wait) {
+    return res.status(429).render('forgot_password', {
+      notice: null,
+      error: `Zbyt wiele próśb o zmianę hasła. Spróbuj ponownie za ${formatRetryAfter(wait)}.`,
+    });
+  }
+  passwordResetLimiter.hit(req.ip);
+  const done = () =>
+    res.render('forgot_password', {
+      notice: 'Jeśli konto o tym adresie istnieje, wysłaliśmy na niego link do ustawienia nowego hasła.',
+      error: null,
+    });
+  db.get(`SELECT id, username, email FROM users WHERE email = ?`, [email], (err, user) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!user) return done();
+    // A failure is only logged - a different answer would tell that the account exists
+    sendAccountToken(user, 'reset_password', user.email, (tokenErr) => {
+      if (tokenErr && !tokenErr.status) console.error(tokenErr);
+      done();
+    });
+  });
+});
+
+app.get('/reset-password', (req, res) => {
+  findAccountToken(req.query.token, 'reset_password', (err, token) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!token) {
+      return res.status(400).render('forgot_password', { notice: null, error: 'Link jest nieprawidłowy lub wygasł - wyślij nowy.' });
+    }
+    res.render('reset_password', { token: req.query.token, error: null });
+  });
+});
+
+// Set a new password from a reset link; the link also proves the email address
+app.post('/reset-password', (req, res) => {
+  const { token: rawToken, password, password_confirm: confirmation } = req.body || {};
+  findAccountToken(rawToken, 'reset_password', (err, token) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!token) {
+      return res.status(400).render('forgot_password', { notice: null, error: 'Link jest nieprawidłowy lub wygasł - wyślij nowy.' });
+    }
+    const error = passwordError(password, confirmation);
+    if (error) {
+      return res.status(400).render('reset_password', { token: rawToken, error });
+    }
+    db.run(
+      `UPDATE users SET password_hash = ?, password_reset_required = 0, failed_login_count = 0, locked_until = NULL,
+         email_verified_at = CASE WHEN email = ? THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END
+       WHERE id = ?`,
+      [bcrypt.hashSync(password, 10), token.email, token.user_id],
+      (updateErr) => {
+        if (updateErr) {
+          console.error(updateErr);
+          return res.status(500).send('Database error');
+        }
+        db.run(
+          `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = 'reset_password' AND used_at IS NULL`,
+          [token.user_id]
+        );
+        // Whoever knew the old password is logged out everywhere
+        revokeSessions(token.user_id, {}, (revokeErr) => {
+          if (revokeErr) console.error('Error revoking sessions:', revokeErr);
+          res.render('login', { error: null, notice: 'Hasło zostało zmienione. Zaloguj się nowym hasłem.' });
+        });
+      }
+    );
+  });
+});
+
+const PROFILE_NOTICES = {
+  saved: 'Dane kontaktowe zostały zapisane.',
+  verified: 'Adres email został potwierdzony.',
+  verification_sent: 'Wysłaliśmy link potwierdzający na Twój adres email.',
+  email_sent: 'Wysłaliśmy link potwierdzający na nowy adres. Adres zmieni się po jego potwierdzeniu.',
+  password_changed: 'Hasło zostało zmienione. Pozostałe sesje zostały wylogowane.',
+};
+
+function renderProfile(req, res, status, error) {
+  db.get(
+    `SELECT id, username, email, email_verified_at, phone, company_name, tax_id, address, password_reset_required,
+            totp_enabled_at
+     FROM users WHERE id = ?`,
+    [req.session.user.id],
+    (err, profile) => {
+      if (err || !profile) {
+        if (err) console.error(err);
+        return res.status(500).send('Database error');
+      }
+      // Address waiting for confirmation after an email change
+      db.get(
+        `SELECT email FROM user_tokens
+         WHERE user_id = ? AND purpose = 'verify_email' AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP AND email != ?
+         ORDER BY id DESC LIMIT 1`,
+        [profile.id, profile.email],
+        (pendingErr, pending) => {
+          if (pendingErr) console.error(pendingErr);
+          res.status(status).render('profile', {
+            profile,
+            pendingEmail: pending ? pending.email : null,
+            notice: PROFILE_NOTICES[req.query.notice] || null,
+            error,
+            minPasswordLength: MIN_PASSWORD_LENGTH,
+          });
+        }
+      );
+    }
+  );
+}
+
+// Profile: contact details, email address and password
+app.get('/profile', requireAuth, (req, res) => {
+  renderProfile(req, res, 200, null);
+});
+
+app.post('/profile', requireAuth, (req, res) => {
+  const body = req.body || {};
+  const field = (name) => String(body[name] || '').trim().substring(0, 200) || null;
+  db.run(
+    `UPDATE users SET phone = ?, company_name = ?, tax_id = ?, address = ? WHERE id = ?`,
+    [field('phone'), field('company_name'), field('tax_id'), field('address'), req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/profile?notice=saved');
+    }
+  );
+});
+
+// The new address is only stored once the link sent to it is opened
+app.post('/profile/email', requireAuth, (req, res) => {
+  const email = ((req.body || {}).email || '').trim();
+  db.get(`SELECT password_hash, email FROM users WHERE id = ?`, [req.session.user.id], (err, user) => {
+    if (err || !user) {
+      if (err) console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!bcrypt.compareSync(String((req.body || {}).current_password || ''), user.password_hash)) {
+      return renderProfile(req, res, 400, 'Nieprawidłowe obecne hasło.');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email === user.email) {
+      return renderProfile(req, res, 400, 'Podaj nowy, prawidłowy adres email.');
+    }
+    db.get(`SELECT id FROM users WHERE email = ?`, [email], (existingErr, existing) => {
+      if (existingErr) {
+        console.error(existingErr);
+        return res.status(500).send('Database error');
+      }
+      if (existing) {
+        return renderProfile(req, res, 400, 'Ten adres email jest już używany przez inne konto.');
+      }
+      sendAccountToken(req.session.user, 'verify_email', email, (tokenErr) => {
+        if (tokenErr) {
+          if (tokenErr.status) return res.status(tokenErr.status).send(tokenErr.message);
+          console.error(tokenErr);
+          return res.status(500).send('Database error');
+        }
+        res.redirect('/profile?notice=email_sent');
+      });
+    });
+  });
+});
+
+app.post('/profile/password', requireAuth, (req, res) => {
+  const body = req.body || {};
+  db.get(`SELECT password_hash FROM users WHERE id = ?`, [req.session.user.id], (err, user) => {
+    if (err || !user) {
+      if (err) console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!bcrypt.compareSync(String(body.current_password || ''), user.password_hash)) {
+      return renderProfile(req, res, 400, 'Nieprawidłowe obecne hasło.');
+    }
+    const error = passwordError(body.new_password, body.new_password_confirm);
+    if (error) {
+      return renderProfile(req, res, 400, error);
+    }
+    if (bcrypt.compareSync(body.new_password, user.password_hash)) {
+      return renderProfile(req, res, 400, 'Nowe hasło musi różnić się od obecnego.');
+    }
+    db.run(
+      `UPDATE users SET password_hash = ?, password_reset_required = 0 WHERE id = ?`,
+      [bcrypt.hashSync(body.new_password, 10), req.session.user.id],
+      (updateErr) => {
+        if (updateErr) {
+          console.error(updateErr);
+          return res.status(500).send('Database error');
+        }
+        revokeSessions(req.session.user.id, { keepSid: req.sessionID }, (revokeErr) => {
+          if (revokeErr) console.error('Error revoking sessions:', revokeErr);
+          res.redirect('/profile?notice=password_changed');
+        });
+      }
+    );
+  });
+});
+
+const TWO_FACTOR_NOTICES = {
+  disabled: 'Weryfikacja dwuetapowa została wyłączona.',
+};
+
+function disableTwoFactor(userId, callback) {
+  db.run(
+    `UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?`,
+    [userId],
+    (err) => {
+      if (err) return callback(err);
+      db.run(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [userId], callback);
+    }
+  );
+}
+
+// Two-factor settings. A secret being set up stays in the session until it is confirmed with a code,
+// freshly generated recovery codes are passed in to be shown once.
+function renderTwoFactor(req, res, status, error, recoveryCodes) {
+  db.get(`SELECT id, email, totp_enabled_at FROM users WHERE id = ?`, [req.session.user.id], (err, account) => {
+    if (err || !account) {
+      if (err) console.error(err);
+      return res.status(500).send('Database error');
+    }
+    db.get(
+      `SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL`,
+      [account.id],
+      (countErr, row) => {
+        if (countErr) {
+          console.error(countErr);
+          return res.status(500).send('Database error');
+        }
+        let setupSecret = null;
+        if (!account.totp_enabled_at) {
+          if (!req.session.totpSetupSecret) {
+            req.session.totpSetupSecret = totp.generateSecret();
+          }
+          setupSecret = req.session.totpSetupSecret;
+        }
+        res.status(status).render('two_factor', {
+          account,
+          required: permissions.isStaff(req.session.user.role),
+          setupSecret,
+          otpauthUrl: setupSecret ? totp.otpauthUrl(TWO_FACTOR_ISSUER, account.email, setupSecret) : null,
+          recoveryCodesLeft: row.count,
+          recoveryCodes: recoveryCodes || null,
+          notice: TWO_FACTOR_NOTICES[req.query.notice] || null,
+          error,
+        });
+      }
+    );
+  });
+}
+
+app.get('/profile/2fa', requireAuth, (req, res) => {
+  renderTwoFactor(req, res, 200, null);
+});
+
+app.post('/profile/2fa/enable', requireAuth, (req, res) => {
+  const secret = req.session.totpSetupSecret;
+  if (!secret) {
+    return res.redirect('/profile/2fa');
+  }
+  const step = totp.verify(secret, (req.body || {}).code);
+  if (step === null) {
+    return renderTwoFactor(req, res, 400, 'Nieprawidłowy kod. Sprawdź, czy czas w telefonie jest ustawiony automatycznie.');
+  }
+  db.run(
+    `UPDATE users SET totp_secret = ?, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = ?
+     WHERE id = ? AND totp_enabled_at IS NULL`,
+    [secret, step, req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      delete req.session.totpSetupSecret;
+      saveRecoveryCodes(req.session.user.id, (codesErr, codes) => {
+        if (codesErr) {
+          console.error(codesErr);
+          return res.status(500).send('Database error');
+        }
+        renderTwoFactor(req, res, 200, null, codes);
+      });
+    }
+  );
+});
+
+// New recovery codes replace all previous ones
+app.post('/profile/2fa/recovery_codes', requireAuth, (req, res) => {
+  db.get(`SELECT * FROM users WHERE id = ?`, [req.session.user.id], (err, user) => {
+    if (err || !user) {
+      if (err) console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!user.totp_enabled_at) {
+      return res.redirect('/profile/2fa');
+    }
+    checkSecondFactor(user, (req.body || {}).code, (checkErr, method) => {
+      if (checkErr) {
+        console.error(checkErr);
+        return res.status(500).send('Database error');
+      }
+      if (!method) {
+        return renderTwoFactor(req, res, 400, 'Nieprawidłowy kod.');
+      }
+      saveRecoveryCodes(user.id, (codesErr, codes) => {
+        if (codesErr) {
+          console.error(codesErr);
+          return res.status(500).send('Database error');
+        }
+        renderTwoFactor(req, res, 200, null, codes);
+      });
+    });
+  });
+});
+
+app.post('/profile/2fa/disable', requireAuth, (req, res) => {
+  const body = req.body || {};
+  if (permissions.isStaff(req.session.user.role)) {
+    return renderTwoFactor(req, res, 403, 'Weryfikacja dwuetapowa jest obowiązkowa dla Twojej roli.');
+  }
+  db.get(`SELECT * FROM users WHERE id = ?`, [req.session.user.id], (err, user) => {
+    if (err || !user) {
+      if (err) console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!user.totp_enabled_at) {
+      return res.redirect('/profile/2fa');
+    }
+    if (!bcrypt.compareSync(String(body.current_password || ''), user.password_hash)) {
+      return renderTwoFactor(req, res, 400, 'Nieprawidłowe obecne hasło.');
+    }
+    checkSecondFactor(user, body.code, (checkErr, method) => {
+      if (checkErr) {
+        console.error(checkErr);
+        return res.status(500).send('Database error');
+      }
+      if (!method) {
+        return renderTwoFactor(req, res, 400, 'Nieprawidłowy kod.');
+      }
+      disableTwoFactor(user.id, (disableErr) => {
+        if (disableErr) {
+          console.error(disableErr);
+          return res.status(500).send('Database error');
+        }
+        res.redirect('/profile/2fa?notice=disabled');
+      });
+    });
+  });
+});
+
+// Sessions the user is logged in with, on this and other devices
+app.get('/profile/sessions', requireAuth, (req, res) => {
+  listSessions(req.session.user.id, (err, sessions) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.render('sessions', {
+      sessions,
+      currentSid: req.sessionID,
+      notice: req.query.notice === 'revoked' ? 'Sesje zostały wylogowane.' : null,
+    });
+  });
+});
+
+app.post('/profile/sessions/:id/revoke', requireAuth, (req, res) => {
+  revokeSessions(req.session.user.id, { sessionId: Number(req.params.id), keepSid: req.sessionID }, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect('/profile/sessions?notice=revoked');
+  });
+});
+
+app.post('/profile/sessions/revoke_others', requireAuth, (req, res) => {
+  revokeSessions(req.session.user.id, { keepSid: req.sessionID }, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect('/profile/sessions?notice=revoked');
+  });
+});
+
+// Client welcome page
+app.get('/home', requireAuth, (req, res) => {
+  if (permissions.isStaff(req.session.user.role)) {
+    return res.redirect(permissions.homePage(req.session.user.role));
+  }
+  db.get(
+    `SELECT COUNT(*) AS count FROM user_notifications WHERE user_id = ? AND read_at IS NULL`,
+    [req.session.user.id],
+    (err, row) => {
+      if (err) {
+        console.error(err);
+      }
+      res.render('home', { unreadCount: row ? row.count : 0 });
+    }
+  );
+});
+
+// Client notification list
+app.get('/notifications', requireAuth, (req, res) => {
+  db.all(
+    `SELECT * FROM user_notifications WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 100`,
+    [req.session.user.id],
+    (err, notifications) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.render('notifications', { notifications });
+    }
+  );
+});
+
+app.post('/notifications/read', requireAuth, (req, res) => {
+  db.run(
+    `UPDATE user_notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL`,
+    [req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/notifications');
+    }
+  );
+});
+
+app.get('/api/notifications', requireAuth, (req, res) => {
+  db.all(
+    `SELECT * FROM user_notifications WHERE user_id = ? AND read_at IS NULL ORDER BY created_at DESC, id DESC`,
+    [req.session.user.id],
+    (err, notifications) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json({ unread: notifications.length, notifications });
+    }
+  );
+});
+
+app.post('/logout', (req, res) => {
+  db.run(`DELETE FROM user_sessions WHERE sid = ?`, [req.sessionID], () => {
+    disconnectSessionSockets(req.sessionID);
+    req.session.destroy(() => {
+      res.redirect('/');
+    });
+  });
+});
+
+// Client dashboard (kept for backward compatibility, redirect to new job page)
+app.get('/dashboard', requireAuth, (req, res) => {
+  return res.redirect('/jobs/new');
+});
+
+// New job page
+app.get('/jobs/new', requireAuth, requirePermission('jobs.create'), requireVerifiedEmail, (req, res) => {
+  catalog.makes((err, makes) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.render('jobs_new', { catalogMakes: makes });
+  });
+});
+
+// Job history page
+app.get('/jobs/history', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  const filters = parseJobFilters(req.query, services.list().map((service) => service.key), Object.keys(JOB_STATUSES));
+  loadOrganization(userId, (orgErr, organization) => {
+    if (orgErr) {
+      console.error(orgErr);
+      return res.status(500).send('Database error');
+    }
+    // Members of an organisation see every job ordered for it
+    searchJobs(
+      filters,
+      { userId, organizationId: organization ? organization.id : null },
+      `jobs.*, users.username AS ordered_by,
+       (SELECT COUNT(*) FROM user_notifications
+        WHERE user_notifications.job_id = jobs.id AND user_notifications.user_id = ?
+          AND user_notifications.read_at IS NULL) AS unread_notifications,
+       ${UNREAD_MESSAGES} AS unread_messages`,
+      [userId, 0, userId, 0],
+      (err, jobs, pagination) => {
+        if (err) {
+          console.error(err);
+          return res.status(500).send('Database error');
+        }
+        db.get(
+          `SELECT COUNT(*) AS count FROM user_notifications WHERE user_id = ? AND read_at IS NULL`,
+          [userId],
+          (countErr, row) => {
+            if (countErr) {
+              console.error(countErr);
+            }
+            res.render('jobs_history', {
+              jobs,
+              filters,
+              pagination,
+              organization,
+              filterQuery: (overrides) => filterQueryString(filters, overrides),
+              optionLabels: services.labels(),
+              perPageChoices: PER_PAGE_CHOICES,
+              unreadCount: row ? row.count : 0,
+            });
+          }
+        );
+      }
+    );
+  });
+});
+
+app.post('/upload', requireAuth, requirePermission('jobs.create'), requireVerifiedEmail, formUpload(upload.fields(JOB_UPLOAD_FIELDS)), (req, res) => {
+  const file = req.files && req.files.file ? req.files.file[0] : null;
+  if (!file) {
+    discardUploads(uploadedAttachments(req));
+    return res.status(400).send('File is required');
+  }
+  createJob(req.session.user, file, uploadedAttachments(req), parseJobFields(req.body), (err) => {
+    if (err) {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    // After creating a job, go to the history page
+    res.redirect('/jobs/history');
+  });
+});
+
+// Edit job page
+app.get('/jobs/:id/edit', requireAuth, (req, res) => {
+  const jobId = req.params.id;
+  const userId = req.session.user.id;
+  db.get(
+    `SELECT * FROM jobs WHERE id = ? AND user_id = ?`,
+    [jobId, userId],
+    (err, job) => {
+      if (err || !job) {
+        return res.status(404).send('Job not found');
+      }
+      if (job.status !== 'pending') {
+        return res.status(403).send('Można edytować tylko oczekujące zadania');
+      }
+      catalog.makes((catalogErr, makes) => {
+        if (catalogErr) {
+          console.error(catalogErr);
+          return res.status(500).send('Database error');
+        }
+        res.render('jobs_edit', { job, catalogMakes: makes });
+      });
+    }
+  );
+});
+
+// Handle job edit submission
+app.post('/jobs/:id/edit', requireAuth, (req, res) => {
+  updateJob(req.params.id, req.session.user, parseJobFields(req.body), (err) => {
+    if (err) {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect('/jobs/history');
+  });
+});
+
+// Client job detail
+app.get('/jobs/:id', requireAuth, (req, res) => {
+  const jobId = req.params.id;
+  const userId = req.session.user.id;
+  db.get(
+    `SELECT jobs.*, problem_reports.status AS problem_status, users.username AS ordered_by,
+            EXISTS (SELECT 1 FROM messages JOIN users AS authors ON messages.user_id = authors.id
+                    WHERE messages.job_id = jobs.id AND ${STAFF_AUTHOR('authors')}) AS staff_replied
+     FROM jobs
+     JOIN users ON jobs.user_id = users.id
+     LEFT JOIN problem_reports ON jobs.id = problem_reports.job_id AND problem_reports.status = 'open'
+     WHERE jobs.id = ? AND ${SHARED_JOBS}`,
+    [jobId, userId, userId],
+    (err, job) => {
+      if (err || !job) {
+        return res.status(404).send('Job not found');
+      }
+      job.hasOpenProblem = job.problem_status === 'open';
+      // Other members of the organisation only look at the job, the one who ordered it handles it
+      const ownJob = job.user_id === userId;
+      // Opening the job counts as reading its notifications
+      db.run(
+        `UPDATE user_notifications SET read_at = CURRENT_TIMESTAMP WHERE job_id = ? AND user_id = ? AND read_at IS NULL`,
+        [job.id, userId]
+      );
+      db.all(
+        `SELECT * FROM job_files WHERE job_id = ? ORDER BY version DESC, created_at DESC`,
+        [job.id],
+        (filesErr, files) => {
+          if (filesErr) {
+            console.error(filesErr);
+            return res.status(500).send('Database error');
+          }
+          db.get(`SELECT * FROM invoices WHERE job_id = ?`, [job.id], (invoiceErr, invoice) => {
+            if (invoiceErr) {
+              console.error(invoiceErr);
+            }
+            loadJobEvents(job.id, (eventsErr, events) => {
+              if (eventsErr) {
+                console.error(eventsErr);
+              }
+              loadAttachments(job.id, (attachmentsErr, attachments) => {
+                if (attachmentsErr) {
+                  console.error(attachmentsErr);
+                }
+                dtcLibrary.jobCodes(job.id, (codesErr, dtcCodes) => {
+                  if (codesErr) {
+                    console.error(codesErr);
+                  }
+                  res.render('jobs_detail', {
+                    job,
+                    ownJob,
+                    files,
+                    attachments: attachments || [],
+                    dtcCodes: dtcCodes || [],
+                    invoice: invoice || null,
+                    events: events || [],
+                  });
+                });
+              });
+            });
+          });
+        }
+      );
+    }
+  );
+});
+
+// Report problem with completed job
+app.post('/jobs/:id/report_problem', requireAuth, (req, res) => {
+  const jobId = req.params.id;
+  reportProblem(jobId, req.session.user, req.body.description, (err) => {
+    // A second report of the same problem just shows the open one
+    if (err && err.code !== 'problem_already_reported') {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect(`/jobs/${jobId}`);
+  });
+});
+
+// Download processed file for client
+app.get('/jobs/:id/download', requireAuth, (req, res) => {
+  const jobId = req.params.id;
+  const userId = req.session.user.id;
+  db.get(
+    `SELECT * FROM jobs WHERE id = ? AND ${SHARED_JOBS}`,
+    [jobId, userId, userId],
+    (err, job) => {
+      if (err || !job) {
+        return res.status(404).send('Job not found');
+      }
+      if (!job.processed_filename) {
+        return res.status(400).send('File not ready yet');
+      }
+      if (!job.paid_at) {
+        return res.status(402).send('Zlecenie nie zostało opłacone - doładuj saldo, aby pobrać plik');
+      }
+
+      // Choose the latest file version (corrected if exists, otherwise processed)
+      const fileName = job.corrected_filename || job.processed_filename;
+      const filePath = path.join(uploadDir, fileName);
+      const version = job.corrected_filename ? job.file_version : 1;
+
+      res.download(filePath, processedDownloadName(job, version));
+    }
+  );
+});
+
+// Pay an unpaid job from the credit balance
+app.post('/jobs/:id/pay', requireAuth, (req, res) => {
+  const jobId = req.params.id;
+  db.get(
+    `SELECT * FROM jobs WHERE id = ? AND ${SHARED_JOBS} AND status NOT IN ('cancelled', 'rejected')`,
+    [jobId, req.session.user.id, req.session.user.id],
+    (err, job) => {
+      if (err || !job) {
+        return res.status(404).send('Job not found');
+      }
+      settleJobPayment(jobId, (payErr, paid) => {
+        if (payErr) {
+          console.error(payErr);
+          return res.status(500).send('Database error');
+        }
+        if (!paid) {
+          return res.status(402).send('Niewystarczające saldo - skontaktuj się z nami, aby doładować konto');
+        }
+        res.redirect(`/jobs/${jobId}`);
+      });
+    }
+  );
+});
+
+// Client account page with credit balance and ledger
+app.get('/account', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  getBalance(userId, (err, balance) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    db.all(
+      `SELECT * FROM credit_ledger WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+      [userId],
+      (ledgerErr, ledger) => {
+        if (ledgerErr) {
+          console.error(ledgerErr);
+          return res.status(500).send('Database error');
+        }
+        db.all(
+          `SELECT * FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC`,
+          [userId],
+          (tokensErr, apiTokens) => {
+            if (tokensErr) {
+              console.error(tokensErr);
+              return res.status(500).send('Database error');
+            }
+            // A new token is shown once, right after it was created
+            const newApiToken = req.session.newApiToken || null;
+            delete req.session.newApiToken;
+            loadOrganization(userId, (orgErr, organization) => {
+              if (orgErr) {
+                console.error(orgErr);
+                return res.status(500).send('Database error');
+              }
+              res.render('account', { balance, ledger, apiTokens, newApiToken, organization });
+            });
+          }
+        );
+      }
+    );
+  });
+});
+
+// Create a personal API token for /api/v1
+app.post('/account/tokens', requireAuth, requirePermission('api.use'), (req, res) => {
+  const name = (req.body.name || '').trim() || 'Token API';
+  const token = `ecu_${crypto.randomBytes(24).toString('hex')}`;
+  db.run(
+    `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix) VALUES (?, ?, ?, ?)`,
+    [req.session.user.id, name, hashApiToken(token), token.substring(0, 12)],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      req.session.newApiToken = token;
+      res.redirect('/account');
+    }
+  );
+});
+
+app.post('/account/tokens/:id/revoke', requireAuth, (req, res) => {
+  db.run(
+    `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [req.params.id, req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/account');
+    }
+  );
+});
+
+// Organisation of the client: members and, for the owner, managing sub-accounts
+app.get('/organization', requireAuth, (req, res) => {
+  if (permissions.isStaff(req.session.user.role)) {
+    return res.status(403).send('Forbidden');
+  }
+  loadOrganization(req.session.user.id, (err, organization) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!organization) {
+      return res.render('organization', { organization: null, members: [] });
+    }
+    db.all(
+      `SELECT id, username, email,
+              (SELECT COUNT(*) FROM jobs WHERE jobs.user_id = users.id AND jobs.organization_id = ?) AS job_count
+       FROM users WHERE organization_id = ? ORDER BY username`,
+      [organization.id, organization.id],
+      (membersErr, members) => {
+        if (membersErr) {
+          console.error(membersErr);
+          return res.status(500).send('Database error');
+        }
+        res.render('organization', { organization, members });
+      }
+    );
+  });
+});
+
+// Create an organisation owned by the logged in client
+app.post('/organization', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  const name = ((req.body || {}).name || '').trim();
+  if (!name) {
+    return res.status(400).send('Podaj nazwę organizacji');
+  }
+  if (permissions.isStaff(req.session.user.role)) {
+    return res.status(403).send('Forbidden');
+  }
+  loadOrganization(userId, (err, existing) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (existing) {
+      return res.status(400).send('Należysz już do organizacji');
+    }
+    db.run(`INSERT INTO organizations (name, owner_id) VALUES (?, ?)`, [name, userId], function (insertErr) {
+      if (insertErr) {
+        console.error(insertErr);
+        return res.status(500).send('Database error');
+      }
+      joinOrganization(userId, this.lastID, (joinErr) => {
+        if (joinErr) {
+          if (joinErr.status) return res.status(joinErr.status).send(joinErr.message);
+          console.error(joinErr);
+          return res.status(500).send('Database error');
+        }
+        res.redirect('/organization');
+      });
+    });
+  });
+});
+
+// Organisation of the logged in user if they own it, otherwise the request is answered with 403
+function loadOwnedOrganization(req, res, callback) {
+  loadOrganization(req.session.user.id, (err, organization) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!organization || organization.owner_id !== req.session.user.id) {
+      return res.status(403).send('Tylko właściciel organizacji może zarządzać jej członkami');
+    }
+    callback(organization);
+  });
+}
+
+// Owner creates a sub-account for a member of the organisation
+app.post('/organization/members', requireAuth, (req, res) => {
+  const { username, email, password } = req.body || {};
+  if (!username || !email || !password) {
+    return res.status(400).send('Nazwa użytkownika, email i hasło są wymagane');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).send(`Hasło musi mieć co najmniej ${MIN_PASSWORD_LENGTH} znaków`);
+  }
+  loadOwnedOrganization(req, res, (organization) => {
+    const hash = bcrypt.hashSync(password, 10);
+    db.run(
+      `INSERT INTO users (email, password_hash, username, role, organization_id) VALUES (?, ?, ?, 'client', ?)`,
+      [email, hash, username, organization.id],
+      function (err) {
+        if (err) {
+          if (err.message.includes('UNIQUE')) {
+            return res.status(400).send('Email lub nazwa użytkownika jest już w użyciu');
+          }
+          console.error(err);
+          return res.status(500).send('Database error');
+        }
+        // The member confirms the address before ordering jobs
+        sendAccountToken({ id: this.lastID, username }, 'verify_email', email, (tokenErr) => {
+          if (tokenErr) console.error('Error sending verification email:', tokenErr);
+          res.redirect('/organization');
+        });
+      }
+    );
+  });
+});
+
+// Owner removes a member, the account and its jobs stay but are no longer shared
+app.post('/organization/members/:id/remove', requireAuth, (req, res) => {
+  loadOwnedOrganization(req, res, (organization) => {
+    leaveOrganization(req.params.id, organization.id, (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/organization');
+    });
+  });
+});
+
+// Member leaves the organisation (the owner cannot)
+app.post('/organization/leave', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  loadOrganization(userId, (err, organization) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!organization) {
+      return res.redirect('/organization');
+    }
+    if (organization.owner_id === userId) {
+      return res.status(400).send('Właściciel nie może opuścić organizacji');
+    }
+    leaveOrganization(userId, organization.id, (leaveErr) => {
+      if (leaveErr) {
+        console.error(leaveErr);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/account');
+    });
+  });
+});
+
+// Webhooks of the logged in user with their recent deliveries
+app.get('/webhooks', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  db.all(`SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC`, [userId], (err, hooks) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    db.all(
+      `SELECT webhook_deliveries.*, webhooks.url
+       FROM webhook_deliveries
+       JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+       WHERE webhooks.user_id = ?
+       ORDER BY webhook_deliveries.id DESC LIMIT 50`,
+      [userId],
+      (deliveriesErr, deliveries) => {
+        if (deliveriesErr) {
+          console.error(deliveriesErr);
+          return res.status(500).send('Database error');
+        }
+        hooks.forEach((hook) => {
+          hook.eventList = parseEvents(hook.events);
+        });
+        res.render('webhooks', { hooks, deliveries, events: WEBHOOK_EVENTS });
+      }
+    );
+  });
+});
+
+app.post('/webhooks', requireAuth, (req, res) => {
+  const url = (req.body.url || '').trim();
+  const events = parseEvents([].concat(req.body.events || []).join(','));
+  if (events.length === 0) {
+    return res.status(400).send('Wybierz co najmniej jedno zdarzenie');
+  }
+  checkTarget(url, (targetErr) => {
+    if (targetErr) {
+      return res.status(400).send(targetErr.message);
+    }
+    db.run(
+      `INSERT INTO webhooks (user_id, url, secret, events) VALUES (?, ?, ?, ?)`,
+      [req.session.user.id, url, generateSecret(), events.join(',')],
+      (err) => {
+        if (err) {
+          console.error(err);
+          return res.status(500).send('Database error');
+        }
+        res.redirect('/webhooks');
+      }
+    );
+  });
+});
+
+app.post('/webhooks/:id/toggle', requireAuth, (req, res) => {
+  db.run(
+    `UPDATE webhooks SET active = 1 - active WHERE id = ? AND user_id = ?`,
+    [req.params.id, req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/webhooks');
+    }
+  );
+});
+
+app.post('/webhooks/:id/delete', requireAuth, (req, res) => {
+  db.get(`SELECT id FROM webhooks WHERE id = ? AND user_id = ?`, [req.params.id, req.session.user.id], (err, hook) => {
+    if (err || !hook) {
+      return res.status(404).send('Webhook not found');
+    }
+    db.run(`DELETE FROM webhook_deliveries WHERE webhook_id = ?`, [hook.id], (deliveriesErr) => {
+      if (deliveriesErr) {
+        console.error(deliveriesErr);
+        return res.status(500).send('Database error');
+      }
+      db.run(`DELETE FROM webhooks WHERE id = ?`, [hook.id], () => res.redirect('/webhooks'));
+    });
+  });
+});
+
+app.post('/webhooks/:id/ping', requireAuth, (req, res) => {
+  db.get(`SELECT id FROM webhooks WHERE id = ? AND user_id = ?`, [req.params.id, req.session.user.id], (err, hook) => {
+    if (err || !hook) {
+      return res.status(404).send('Webhook not found');
+    }
+    webhooks.ping(hook.id, (pingErr) => {
+      if (pingErr) {
+        console.error(pingErr);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/webhooks');
+    });
+  });
+});
+
+app.post('/webhooks/deliveries/:id/redeliver', requireAuth, (req, res) => {
+  db.get(
+    `SELECT webhook_deliveries.id FROM webhook_deliveries
+     JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+     WHERE webhook_deliveries.id = ? AND webhooks.user_id = ?`,
+    [req.params.id, req.session.user.id],
+    (err, delivery) => {
+      if (err || !delivery) {
+        return res.status(404).send('Delivery not found');
+      }
+      webhooks.redeliver(delivery.id, (redeliverErr) => {
+        if (redeliverErr) {
+          console.error(redeliverErr);
+          return res.status(500).send('Database error');
+        }
+        res.redirect('/webhooks');
+      });
+    }
+  );
+});
+
+// Live quote for the job forms
+app.post('/api/quote', requireAuth, (req, res) => {
+  const options = {};
+  services.active().forEach((service) => {
+    options[service.key] = isChecked(req.body[service.key]);
+  });
+  calculateQuote(options, req.body.vehicle_make, req.body.ecu_controller, (err, quote) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(quote);
+  });
+});
+
+// Dependent dropdowns of the job forms: makes, or the next level under make_id, model_id or engine_id
+app.get('/api/catalog', requireAuth, (req, res) => {
+  const send = (key) => (err, rows) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    res.json({ [key]: rows });
+  };
+  if (req.query.engine_id) return catalog.ecus(req.query.engine_id, send('ecus'));
+  if (req.query.model_id) return catalog.engines(req.query.model_id, send('engines'));
+  if (req.query.make_id) return catalog.models(req.query.make_id, send('models'));
+  catalog.makes(send('makes'));
+});
+
+// Suggestions for the DTC fields of the job forms, codes typical for the entered ECU first
+app.get('/api/dtc', requireAuth, (req, res) => {
+  dtcLibrary.suggest(req.query.q, req.query.ecu, (err, codes) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    res.json({ codes });
+  });
+});
+
+// Printable invoice of a completed job, for everyone who sees the job - organisation members see
+// the invoice issued to the owner
+app.get('/jobs/:id/invoice', requireAuth, (req, res) => {
+  db.get(
+    `SELECT invoices.*, jobs.original_filename, jobs.vehicle_make, jobs.vehicle_model, jobs.vehicle_year,
+            users.username, users.email, users.company_name, users.tax_id, users.address,
+            organizations.name AS organization_name
+     FROM invoices
+     JOIN jobs ON invoices.job_id = jobs.id
+     JOIN users ON invoices.user_id = users.id
+     LEFT JOIN organizations ON jobs.organization_id = organizations.id AND organizations.owner_id = invoices.user_id
+     WHERE invoices.job_id = ? AND ${SHARED_JOBS}`,
+    [req.params.id, req.session.user.id, req.session.user.id],
+    (err, invoice) => {
+      if (err || !invoice) {
+        return res.status(404).send('Invoice not found');
+      }
+      invoice.items = JSON.parse(invoice.items || '[]');
+      res.render('invoice', { invoice });
+    }
+  );
+});
+
+// Download any file revision of the client's own or organisation's job
+app.get('/jobs/:id/files/:fileId', requireAuth, (req, res) => {
+  db.get(
+    `SELECT job_files.*, jobs.options, jobs.original_filename AS job_original_filename, jobs.paid_at
+     FROM job_files
+     JOIN jobs ON job_files.job_id = jobs.id
+     WHERE job_files.id = ? AND jobs.id = ? AND ${SHARED_JOBS}`,
+    [req.params.fileId, req.params.id, req.session.user.id, req.session.user.id],
+    (err, file) => {
+      if (err || !file) {
+        return res.status(404).send('File not found');
+      }
+      const filePath = path.join(uploadDir, file.stored_filename);
+      if (file.kind === 'original') {
+        return res.download(filePath, file.original_filename);
+      }
+      if (!file.paid_at) {
+        return res.status(402).send('Zlecenie nie zostało opłacone - doładuj saldo, aby pobrać plik');
+      }
+      const job = { options: file.options, original_filename: file.job_original_filename };
+      res.download(filePath, processedDownloadName(job, file.version));
+    }
+  );
+});
+
+// Send a job attachment as a download, or with ?inline=1 show a photo in the page (chat previews)
+function sendAttachment(req, res, attachment) {
+  const ext = path.extname(attachment.original_filename).toLowerCase();
+  const file = path.join(uploadDir, attachment.stored_filename);
+  if (req.query.inline && IMAGE_EXTENSIONS.includes(ext)) {
+    res.type(ext);
+    return res.sendFile(file, { headers: { 'X-Content-Type-Options': 'nosniff' } });
+  }
+  res.download(file, attachment.original_filename);
+}
+
+// Download an attachment of the client's own or organisation's job. Files delivered by the service
+// are paid like the processed file
+app.get('/jobs/:id/attachments/:attachmentId', requireAuth, (req, res) => {
+  db.get(
+    `SELECT job_attachments.*, jobs.paid_at
+     FROM job_attachments
+     JOIN jobs ON job_attachments.job_id = jobs.id
+     WHERE job_attachments.id = ? AND jobs.id = ? AND ${SHARED_JOBS}`,
+    [req.params.attachmentId, req.params.id, req.session.user.id, req.session.user.id],
+    (err, attachment) => {
+      if (err || !attachment) {
+        return res.status(404).send('File not found');
+      }
+      if (attachment.output && !attachment.paid_at) {
+        return res.status(402).send('Zlecenie nie zostało opłacone - doładuj saldo, aby pobrać plik');
+      }
+      sendAttachment(req, res, attachment);
+    }
+  );
+});
+
+// Staff accounts jobs can be assigned to
+function loadTuners(callback) {
+  db.all(`SELECT id, username, email FROM users WHERE ${TUNER_ROLES} ORDER BY username`, callback);
+}
+
+// Admin routes
+app.get('/admin/jobs', requirePermission('jobs.view'), (req, res) => {
+  const adminId = req.session.user.id;
+  const filters = parseJobFilters(req.query, services.list().map((service) => service.key), Object.keys(JOB_STATUSES));
+  searchJobs(
+    filters,
+    { viewerId: adminId },
+    `jobs.*, users.email AS user_email, assignees.username AS assignee_name, organizations.name AS organization_name,
+     ${UNREAD_MESSAGES} AS unread_messages`,
+    [1, adminId, 1],
+    (err, jobs, pagination) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      const openPlaceholders = OPEN_STATUSES.map(() => '?').join(', ');
+      db.get(
+        `SELECT COALESCE(SUM(assigned_to = ?), 0) AS mine, COALESCE(SUM(assigned_to IS NULL), 0) AS unassigned
+         FROM jobs WHERE status IN (${openPlaceholders})`,
+        [adminId, ...OPEN_STATUSES],
+        (countErr, queues) => {
+          if (countErr) {
+            console.error(countErr);
+            return res.status(500).send('Database error');
+          }
+          db.all(
+            `SELECT * FROM job_filter_presets WHERE user_id = ? ORDER BY name`,
+            [adminId],
+            (presetErr, presets) => {
+              if (presetErr) {
+                console.error(presetErr);
+                return res.status(500).send('Database error');
+              }
+              loadTuners((tunersErr, tuners) => {
+                if (tunersErr) {
+                  console.error(tunersErr);
+                  return res.status(500).send('Database error');
+                }
+                db.all(`SELECT id, name FROM organizations ORDER BY name`, (orgErr, organizations) => {
+                  if (orgErr) {
+                    console.error(orgErr);
+                    return res.status(500).send('Database error');
+                  }
+                  res.render('admin_jobs', {
+                    jobs,
+                    filters,
+                    pagination,
+                    presets,
+                    queues,
+                    tuners,
+                    organizations,
+                    openStatuses: OPEN_STATUSES,
+                    filterQuery: (overrides) => filterQueryString(filters, overrides),
+                    optionLabels: services.labels(),
+                    perPageChoices: PER_PAGE_CHOICES,
+                  });
+                });
+              });
+            }
+          );
+        }
+      );
+    }
+  );
+});
+
+// Save the current /admin/jobs filters under a name
+app.post('/admin/jobs/presets', requirePermission('jobs.view'), (req, res) => {
+  const name = ((req.body || {}).name || '').trim().substring(0, 100);
+  if (!name) {
+    return res.status(400).send('Preset name is required');
+  }
+  // Re-serialise so only known filter keys are stored
+  const query = new URLSearchParams((req.body || {}).query || '');
+  const filters = parseJobFilters(
+    { ...Object.fromEntries(query), options: query.getAll('options') },
+    services.list().map((service) => service.key),
+    Object.keys(JOB_STATUSES)
+  );
+  db.run(
+    `INSERT INTO job_filter_presets (user_id, name, query) VALUES (?, ?, ?)`,
+    [req.session.user.id, name, filterQueryString(filters, { page: 1 })],
+    function (err) {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect(`/admin/jobs?${filterQueryString(filters, { page: 1 })}`);
+    }
+  );
+});
+
+app.post('/admin/jobs/presets/:id/delete', requirePermission('jobs.view'), (req, res) => {
+  db.run(
+    `DELETE FROM job_filter_presets WHERE id = ? AND user_id = ?`,
+    [req.params.id, req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.redirect('/admin/jobs');
+    }
+  );
+});
+
+// Workload per tuner: open jobs and turnaround (creation to first completion) in the chosen period
+const WORKLOAD_PERIODS = [7, 30, 90];
+
+app.get('/admin/workload', requirePermission('workload.view'), (req, res) => {
+  const days = WORKLOAD_PERIODS.includes(parseInt(req.query.days)) ? parseInt(req.query.days) : 30;
+  const since = `-${days} days`;
+  const openPlaceholders = OPEN_STATUSES.map(() => '?').join(', ');
+  const completions = `(SELECT job_id, MIN(created_at) AS completed_at FROM job_events WHERE to_status = 'completed' GROUP BY job_id)`;
+  db.all(
+    `SELECT users.id, users.username, users.email,
+            COALESCE(SUM(jobs.status IN (${openPlaceholders})), 0) AS open_jobs,
+            COALESCE(SUM(jobs.status = 'in_progress'), 0) AS in_progress,
+            COALESCE(SUM(completions.completed_at >= datetime('now', ?)), 0) AS completed,
+            AVG(CASE WHEN completions.completed_at >= datetime('now', ?)
+                     THEN (julianday(completions.completed_at) - julianday(jobs.created_at)) * 24 END) AS avg_turnaround_hours
+     FROM users
+     LEFT JOIN jobs ON jobs.assigned_to = users.id
+     LEFT JOIN ${completions} AS completions ON completions.job_id = jobs.id
+     WHERE ${TUNER_ROLES}
+     GROUP BY users.id
+     ORDER BY open_jobs DESC, users.username`,
+    [...OPEN_STATUSES, since, since],
+    (err, tuners) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      db.get(
+        `SELECT COALESCE(SUM(jobs.assigned_to IS NULL AND jobs.status IN (${openPlaceholders})), 0) AS unassigned,
+                COALESCE(SUM(completions.completed_at >= datetime('now', ?)), 0) AS completed,
+                AVG(CASE WHEN completions.completed_at >= datetime('now', ?)
+                         THEN (julianday(completions.completed_at) - julianday(jobs.created_at)) * 24 END) AS avg_turnaround_hours
+         FROM jobs
+         LEFT JOIN ${completions} AS completions ON completions.job_id = jobs.id`,
+        [...OPEN_STATUSES, since, since],
+        (totalsErr, totals) => {
+          if (totalsErr) {
+            console.error(totalsErr);
+            return res.status(500).send('Database error');
+          }
+          res.render('admin_workload', { tuners, totals, days, periods: WORKLOAD_PERIODS });
+        }
+      );
+    }
+  );
+});
+
+// Admin view job details
+app.get('/admin/jobs/:id', requirePermission('jobs.view'), (req, res) => {
+  const jobId = req.params.id;
+  db.get(
+    `SELECT jobs.*, users.email AS user_email, assignees.username AS assignee_name, organizations.name AS organization_name,
+            problem_reports.status AS problem_status, problem_reports.description AS problem_description,
+            duplicates.created_at AS duplicate_created_at, duplicates.status AS duplicate_status,
+            duplicate_owners.username AS duplicate_username
+     FROM jobs
+     JOIN users ON jobs.user_id = users.id
+     LEFT JOIN users AS assignees ON jobs.assigned_to = assignees.id
+     LEFT JOIN organizations ON jobs.organization_id = organizations.id
+     LEFT JOIN problem_reports ON jobs.id = problem_reports.job_id AND problem_reports.status = 'open'
+     LEFT JOIN jobs AS duplicates ON jobs.duplicate_of = duplicates.id
+     LEFT JOIN users AS duplicate_owners ON duplicates.user_id = duplicate_owners.id
+     WHERE jobs.id = ?`,
+    [jobId],
+    (err, job) => {
+      if (err || !job) {
+        return res.status(404).send('Job not found');
+      }
+
+      // Get file size information
+      let fileSize = 'Nieznany';
+      try {
+        const filePath = path.join(uploadDir, job.stored_filename);
+        const stats = fs.statSync(filePath);
+        const sizeKB = Math.round(stats.size / 1024);
+        fileSize = `${sizeKB} KB`;
+      } catch (fileErr) {
+        // File doesn't exist or can't be accessed
+      }
+
+      const render = () => {
+        const fingerprint = job.file_sha256 ? {
+          size: job.file_size,
+          crc32: job.file_crc32,
+          sha256: job.file_sha256,
+          manufacturer: job.ecu_detected_manufacturer,
+          family: job.ecu_detected_family,
+          hw_number: job.ecu_hw_number,
+          sw_number: job.ecu_sw_number,
+          calibration_id: job.ecu_calibration_id,
+        } : null;
+        const ecuMatches = matchesDeclaredEcu(fingerprint, job.ecu_controller);
+        db.all(
+          `SELECT job_files.*, users.username AS uploaded_by_name
+           FROM job_files
+           LEFT JOIN users ON job_files.uploaded_by = users.id
+           WHERE job_files.job_id = ?
+           ORDER BY job_files.version DESC, job_files.created_at DESC`,
+          [job.id],
+          (filesErr, files) => {
+            if (filesErr) {
+              console.error(filesErr);
+              return res.status(500).send('Database error');
+            }
+            db.get(`SELECT * FROM invoices WHERE job_id = ?`, [job.id], (invoiceErr, invoice) => {
+              if (invoiceErr) {
+                console.error(invoiceErr);
+              }
+              loadJobEvents(job.id, (eventsErr, events) => {
+                if (eventsErr) {
+                  console.error(eventsErr);
+                }
+                loadTuners((tunersErr, tuners) => {
+                  if (tunersErr) {
+                    console.error(tunersErr);
+                  }
+                  loadAttachments(job.id, (attachmentsErr, attachments) => {
+                    if (attachmentsErr) {
+                      console.error(attachmentsErr);
+                    }
+                    dtcLibrary.jobCodes(job.id, (codesErr, dtcCodes) => {
+                      if (codesErr) {
+                        console.error(codesErr);
+                      }
+                      // Only jobs still waiting for their file can reuse an earlier one
+                      const findSolutions = job.processed_filename ? (cb) => cb(null, []) : (cb) => solutions.findForJob(job, cb);
+                      findSolutions((solutionsErr, knownSolutions) => {
+                        if (solutionsErr) {
+                          console.error(solutionsErr);
+                        }
+                        res.render('admin_job_detail', {
+                          job,
+                          fileSize,
+                          fingerprint,
+                          ecuMismatch: ecuMatches === false,
+                          files,
+                          attachments: attachments || [],
+                          dtcCodes: dtcCodes || [],
+                          knownSolutions: knownSolutions || [],
+                          invoice: invoice || null,
+                          events: events || [],
+                          transitions: TRANSITIONS[job.status] || [],
+                          tuners: tuners || [],
+                        });
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          }
+        );
+      };
+
+      if (job.file_sha256) {
+        return render();
+      }
+
+      // Jobs uploaded before fingerprinting existed are detected on first view
+      fingerprintFile(path.join(uploadDir, job.stored_filename), (fpErr, fp) => {
+        if (fpErr) {
+          return render();
+        }
+        saveFingerprint(job.id, fp, (saveErr) => {
+          if (saveErr) {
+            console.error('Error saving fingerprint:', saveErr);
+          }
+          job.file_size = fp.size;
+          job.file_crc32 = fp.crc32;
+          job.file_sha256 = fp.sha256;
+          job.ecu_detected_manufacturer = fp.manufacturer;
+          job.ecu_detected_family = fp.family;
+          job.ecu_hw_number = fp.hw_number;
+          job.ecu_sw_number = fp.sw_number;
+          job.ecu_calibration_id = fp.calibration_id;
+          render();
+        });
+      });
+    }
+  );
+});
+
+// Admin download original
+app.get('/admin/jobs/:id/original', requirePermission('jobs.view'), (req, res) => {
+  const jobId = req.params.id;
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      return res.status(404).send('Job not found');
+    }
+    audit.record(req, 'job.download_original', 'job', job.id, null, { file: job.original_filename });
+    const filePath = path.join(uploadDir, job.stored_filename);
+    res.download(filePath, job.original_filename);
+  });
+});
+
+// Admin download processed
+app.get('/admin/jobs/:id/processed', requirePermission('jobs.view'), (req, res) => {
+  const jobId = req.params.id;
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      return res.status(404).send('Job not found');
+    }
+    if (!job.processed_filename) {
+      return res.status(400).send('Processed file not available');
+    }
+    const filePath = path.join(uploadDir, job.processed_filename);
+    res.download(filePath, `processed_${job.original_filename}`);
+  });
+});
+
+// Read the original file of a job and the requested modified version (processed or corrected)
+function loadDiffFiles(job, target, callback) {
+  const modifiedName = target === 'corrected' ? job.corrected_filename : job.processed_filename;
+  if (!modifiedName) {
+    return callback(null, null);
+  }
+  fs.readFile(path.join(uploadDir, job.stored_filename), (err, original) => {
+    if (err) return callback(err);
+    fs.readFile(path.join(uploadDir, modifiedName), (err, modified) => {
+      if (err) return callback(err);
+      callback(null, { original, modified });
+    });
+  });
+}
+
+// Admin binary comparison of original and processed/corrected file
+app.get('/admin/jobs/:id/diff', requirePermission('jobs.view'), (req, res) => {
+  const jobId = req.params.id;
+  const target = req.query.target === 'corrected' ? 'corrected' : 'processed';
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      return res.status(404).send('Job not found');
+    }
+    loadDiffFiles(job, target, (fileErr, files) => {
+      if (fileErr) {
+        console.error('Error reading files for diff:', fileErr);
+        return res.status(500).send('File error');
+      }
+      if (!files) {
+        return res.status(400).send('Modified file not available');
+      }
+      const diff = diffBuffers(files.original, files.modified);
+      res.render('admin_job_diff', {
+        job,
+        target,
+        diff: limitRegions(diff),
+        hex: hexView(files.original, files.modified, diff),
+      });
+    });
+  });
+});
+
+// Regions are paged with ?offset= and ?limit= (up to MAX_LISTED_REGIONS)
+app.get('/api/admin/jobs/:id/diff', requirePermission('jobs.view'), (req, res) => {
+  const jobId = req.params.id;
+  const target = req.query.target === 'corrected' ? 'corrected' : 'processed';
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : MAX_LISTED_REGIONS, MAX_LISTED_REGIONS);
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    loadDiffFiles(job, target, (fileErr, files) => {
+      if (fileErr) {
+        console.error('Error reading files for diff:', fileErr);
+        return res.status(500).json({ error: 'File error' });
+      }
+      if (!files) {
+        return res.status(400).json({ error: 'Modified file not available' });
+      }
+      const diff = diffBuffers(files.original, files.modified);
+      res.json({ job_id: job.id, target, ...limitRegions(diff, offset, limit) });
+    });
+  });
+});
+
+// Set the stored file as the completed job's output, then invoice and notify. callback(err) - only for
+// the job update, the rest is not fatal
+function deliverProcessedFile(jobId, file, uploadedBy, note, callback) {
+  db.run(
+    `UPDATE jobs SET processed_filename = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [file.filename, jobId],
+    (updateErr) => {
+      if (updateErr) return callback(updateErr);
+      recordJobFile(jobId, 'processed', 1, file, uploadedBy, note, (fileErr) => {
+        if (fileErr) {
+          console.error('Error recording processed file:', fileErr);
+        }
+        issueInvoice(jobId, (invoiceErr) => {
+          if (invoiceErr) {
+            console.error('Error issuing invoice:', invoiceErr);
+          }
+          notifier.notify('job_completed', { job_id: Number(jobId), original_filename: file.originalname });
+          notifyClient(jobId, 'job_completed', {});
+          jobWebhook('job.completed', jobId, { file_version: 1, download_path: `/api/v1/jobs/${jobId}/download` });
+          callback(null);
+        });
+      });
+    }
+  );
+}
+
+// Admin upload processed file and update status
+const adminUpload = upload.single('processed_file');
+
+app.post('/admin/jobs/:id/complete', requirePermission('jobs.process'), (req, res) => {
+  adminUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).send(uploadErrorMessage(err));
+    }
+    const jobId = req.params.id;
+    if (!req.file) {
+      return res.status(400).send('Processed file is required');
+    }
+    const rejectUpload = (status, message) => {
+      fs.unlink(req.file.path, () => {});
+      res.status(status).send(message);
+    };
+    db.get(`SELECT processed_filename FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+      if (err || !job) {
+        return rejectUpload(404, 'Job not found');
+      }
+      if (job.processed_filename) {
+        return rejectUpload(409, 'Plik przetworzony został już przesłany - prześlij poprawioną wersję');
+      }
+      checkUploadedFile(req.file, (checkErr) => {
+        if (checkErr) {
+          if (checkErr.status) return res.status(checkErr.status).send(checkErr.message);
+          console.error(checkErr);
+          return rejectUpload(500, 'File upload error');
+        }
+        changeJobStatus(jobId, 'completed', req.session.user.id, req.body.note, (statusErr, previous) => {
+          if (statusErr) {
+            if (statusErr.status) return rejectUpload(statusErr.status, statusErr.message);
+            console.error(statusErr);
+            return rejectUpload(500, 'Database error');
+          }
+          audit.record(
+            req,
+            'job.complete',
+            'job',
+            jobId,
+            { status: previous.status },
+            { status: 'completed', file: req.file.originalname, note: req.body.note || null }
+          );
+          storeUpload(jobId, req.file, () => {
+            deliverProcessedFile(jobId, req.file, req.session.user.id, req.body.note, (deliverErr) => {
+              if (deliverErr) {
+                console.error(deliverErr);
+                return res.status(500).send('Database error');
+              }
+              res.redirect('/admin/jobs');
+            });
+          });
+        });
+      });
+    });
+  });
+});
 
-// Expose user and version to views
-app.use((req, res, next) => {
-  res.locals.currentUser = req.session.user || null;
-  res.locals.appVersion = APP_VERSION;
-  next();
+// Complete a job with the delivered file of an earlier job that solved the same request (see
+// solutions.js). The file is copied, so the two jobs keep separate histories.
+app.post('/admin/jobs/:id/apply_solution', requirePermission('jobs.process'), (req, res) => {
+  const jobId = req.params.id;
+  const note = ((req.body || {}).note || '').trim();
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      return res.status(404).send('Job not found');
+    }
+    if (job.processed_filename) {
+      return res.status(409).send('Plik przetworzony został już przesłany - prześlij poprawioną wersję');
+    }
+    solutions.find(job, (req.body || {}).source_id, (findErr, solution) => {
+      if (findErr) {
+        console.error(findErr);
+        return res.status(500).send('Database error');
+      }
+      if (!solution) {
+        return res.status(409).send('Wybrane rozwiązanie nie pasuje do tego zlecenia');
+      }
+      const output = solution.output;
+      const filename = `${output.sha256}${path.extname(output.stored_filename)}`;
+      const file = {
+        filename: `${job.id}/${filename}`,
+        originalname: output.original_filename,
+        sha256: output.sha256,
+        size: output.file_size,
+      };
+      const target = path.join(uploadDir, String(job.id), filename);
+      fs.mkdir(path.dirname(target), { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+          console.error(mkdirErr);
+          return res.status(500).send('File error');
+        }
+        // Files are named by their hash, so one already in the job's directory has the same content
+        fs.copyFile(path.join(uploadDir, output.stored_filename), target, fs.constants.COPYFILE_EXCL, (copyErr) => {
+          if (copyErr && copyErr.code !== 'EEXIST') {
+            console.error('Error copying stored solution:', copyErr);
+            return res.status(500).send('File error');
+          }
+          const copied = !copyErr;
+          const comment = `Rozwiązanie ze zlecenia #${solution.id}${note ? ` - ${note}` : ''}`;
+          changeJobStatus(job.id, 'completed', req.session.user.id, comment, (statusErr, previous) => {
+            if (statusErr) {
+              if (copied) fs.unlink(target, () => {});
+              if (statusErr.status) return res.status(statusErr.status).send(statusErr.message);
+              console.error(statusErr);
+              return res.status(500).send('Database error');
+            }
+            audit.record(
+              req,
+              'job.apply_solution',
+              'job',
+              job.id,
+              { status: previous.status },
+              { status: 'completed', source_job_id: solution.id, match: solution.match, file: file.originalname, note: note || null }
+            );
+            deliverProcessedFile(job.id, file, req.session.user.id, comment, (deliverErr) => {
+              if (deliverErr) {
+                console.error(deliverErr);
+                return res.status(500).send('Database error');
+              }
+              res.redirect(`/admin/jobs/${job.id}`);
+            });
+          });
+        });
+      });
+    });
+  });
 });
 
-// Routes
-app.get('/', (req, res) => {
-  if (!req.session.user) {
-    return res.render('index');
+// Give back everything charged for a job that will not be delivered
+function refundJob(jobId, actorId, note, callback) {
+  db.get(
+    `SELECT ${JOB_PAYER} AS payer_id,
+            COALESCE((SELECT -SUM(amount) FROM credit_ledger WHERE credit_ledger.job_id = jobs.id), 0) AS amount_paid
+     FROM jobs WHERE jobs.id = ?`,
+    [jobId],
+    (err, row) => {
+      if (err || !row || row.amount_paid <= 0) return callback(err || null);
+      db.run(
+        `INSERT INTO credit_ledger (user_id, amount, type, job_id, note, created_by) VALUES (?, ?, 'refund', ?, ?, ?)`,
+        [row.payer_id, roundMoney(row.amount_paid), jobId, note, actorId],
+        (refundErr) => {
+          if (refundErr) return callback(refundErr);
+          db.run(`UPDATE jobs SET paid_at = NULL WHERE id = ?`, [jobId], callback);
+        }
+      );
+    }
+  );
+}
+
+// Admin status change - completed and reopened are only reached by uploading a file or reporting a problem
+function adminChangeStatus(req, res, toStatus) {
+  const jobId = req.params.id;
+  if (!['accepted', 'in_progress', 'rejected', 'cancelled'].includes(toStatus)) {
+    return res.status(400).send('Nieprawidłowy status');
   }
-  if (req.session.user.role === 'admin') {
-    return res.redirect('/admin/jobs');
+  const comment = ((req.body || {}).comment || '').trim();
+  if (toStatus === 'rejected' && !comment) {
+    return res.status(400).send('Podaj powód odrzucenia zlecenia');
   }
-  // Clients go to the dedicated welcome page
-  return res.redirect('/home');
+  changeJobStatus(jobId, toStatus, req.session.user.id, comment, (err, job) => {
+    if (err) {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    audit.record(req, 'job.status', 'job', jobId, { status: job.status }, { status: toStatus, comment: comment || null });
+    if (toStatus !== 'cancelled' && toStatus !== 'rejected') {
+      if (job.assigned_to) {
+        return res.redirect(`/admin/jobs/${jobId}`);
+      }
+      // Accepting or starting an unassigned job claims it
+      return assignJob(jobId, req.session.user.id, req.session.user, (assignErr, assignee) => {
+        if (assignErr) {
+          console.error('Error claiming job:', assignErr);
+        } else {
+          audit.record(req, 'job.assign', 'job', jobId, { assigned_to: null }, { assigned_to: assignee.id });
+        }
+        res.redirect(`/admin/jobs/${jobId}`);
+      });
+    }
+    if (toStatus === 'cancelled') {
+      jobWebhook('job.cancelled', jobId, {});
+    }
+    const note = toStatus === 'cancelled' ? `Zwrot za anulowane zlecenie #${jobId}` : `Zwrot za odrzucone zlecenie #${jobId}`;
+    refundJob(jobId, req.session.user.id, note, (refundErr) => {
+      if (refundErr) {
+        console.error('Error refunding job:', refundErr);
+      }
+      res.redirect('/admin/jobs');
+    });
+  });
+}
+
+app.post('/admin/jobs/:id/status', requirePermission('jobs.process'), (req, res) => {
+  adminChangeStatus(req, res, req.body.status);
 });
 
-app.get('/register', (req, res) => {
-  res.render('register', { error: null });
+// Admin cancel job
+app.post('/admin/jobs/:id/cancel', requirePermission('jobs.process'), (req, res) => {
+  adminChangeStatus(req, res, 'cancelled');
 });
 
-app.post('/register', (req, res) => {
-  const { username, email, password } = req.body;
-  if (!username || !email || !password) {
-    return res.render('register', { error: 'Nazwa użytkownika, email i hasło są wymagane.' });
+// Take an unassigned or someone else's job into the own queue
+app.post('/admin/jobs/:id/claim', requirePermission('jobs.process'), (req, res) => {
+  assignJob(req.params.id, req.session.user.id, req.session.user, (err, assignee, previousId) => {
+    if (err) {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    audit.record(req, 'job.assign', 'job', req.params.id, { assigned_to: previousId }, { assigned_to: assignee.id });
+    res.redirect(`/admin/jobs/${req.params.id}`);
+  });
+});
+
+// Assign or reassign a job; an empty assignee_id returns it to the unassigned queue
+app.post('/admin/jobs/:id/assign', requirePermission('jobs.assign'), (req, res) => {
+  assignJob(req.params.id, (req.body || {}).assignee_id || null, req.session.user, (err, assignee, previousId) => {
+    if (err) {
+      if (err.status) return res.status(err.status).send(err.message);
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    audit.record(
+      req,
+      'job.assign',
+      'job',
+      req.params.id,
+      { assigned_to: previousId },
+      { assigned_to: assignee ? assignee.id : null }
+    );
+    res.redirect(`/admin/jobs/${req.params.id}`);
+  });
+});
+
+// Admin update client message
+app.post('/admin/jobs/:id/update_message', requirePermission('jobs.process'), (req, res) => {
+  const jobId = req.params.id;
+  const client_message = req.body.client_message || '';
+  db.get(`SELECT client_message FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) {
+      return res.status(404).send('Job not found');
+    }
+    db.run(
+      `UPDATE jobs SET client_message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [client_message, jobId],
+      (updateErr) => {
+        if (updateErr) {
+          console.error(updateErr);
+          return res.status(500).send('Database error');
+        }
+        audit.record(req, 'job.update_message', 'job', jobId, { client_message: job.client_message }, { client_message });
+        res.redirect(`/admin/jobs/${jobId}`);
+      }
+    );
+  });
+});
+
+// Admin reopen chat for problem resolution
+app.post('/admin/jobs/:id/reopen_chat', requirePermission('complaints.manage'), (req, res) => {
+  const jobId = req.params.id;
+  // Check if there's an open problem report
+  db.get(
+    `SELECT * FROM problem_reports WHERE job_id = ? AND status = 'open'`,
+    [jobId],
+    (err, report) => {
+      if (err || !report) {
+        return res.status(404).send('No open problem report found');
+      }
+      // Reopen the chat by updating job status or just redirect - the chat logic will handle it
+      res.redirect(`/admin/jobs/${jobId}`);
+    }
+  );
+});
+
+// Admin upload corrected file for problem resolution
+const correctedUpload = upload.single('corrected_file');
+
+app.post('/admin/jobs/:id/upload_corrected', requirePermission('jobs.process'), (req, res) => {
+  correctedUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).send(uploadErrorMessage(err));
+    }
+    const jobId = req.params.id;
+    if (!req.file) {
+      return res.status(400).send('Corrected file is required');
+    }
+
+    // Get current file version and increment it
+    db.get(`SELECT file_version, status FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+      if (err || !job) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(404).send('Job not found');
+      }
+      // Corrections replace a delivered file, so the job must have been completed
+      if (!['completed', 'reopened'].includes(job.status)) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(409).send(`Nie można przesłać poprawionego pliku dla zadania o statusie "${statusLabel(job.status)}"`);
+      }
+
+      const newVersion = (job.file_version || 1) + 1;
+
+      checkUploadedFile(req.file, (checkErr) => {
+        if (checkErr) {
+          if (checkErr.status) return res.status(checkErr.status).send(checkErr.message);
+          console.error(checkErr);
+          fs.unlink(req.file.path, () => {});
+          return res.status(500).send('File upload error');
+        }
+        storeUpload(jobId, req.file, () => {
+          db.run(
+            `UPDATE jobs SET
+             corrected_filename = ?,
+             file_version = ?,
+             updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [req.file.filename, newVersion, jobId],
+            (updateErr) => {
+              if (updateErr) {
+                console.error(updateErr);
+                return res.status(500).send('Database error');
+              }
+              recordJobFile(jobId, 'corrected', newVersion, req.file, req.session.user.id, req.body.note, (fileErr) => {
+                if (fileErr) {
+                  console.error('Error recording corrected file:', fileErr);
+                }
+                audit.record(
+                  req,
+                  'job.upload_corrected',
+                  'job',
+                  jobId,
+                  { file_version: job.file_version || 1 },
+                  { file_version: newVersion, file: req.file.originalname, note: req.body.note || null }
+                );
+                notifier.notify('corrected_file', {
+                  job_id: Number(jobId),
+                  version: newVersion,
+                  original_filename: req.file.originalname,
+                });
+                notifyClient(jobId, 'corrected_file', { version: newVersion });
+                jobWebhook('job.corrected_file', jobId, { file_version: newVersion, download_path: `/api/v1/jobs/${jobId}/download` });
+                res.redirect(`/admin/jobs/${jobId}`);
+              });
+            }
+          );
+        });
+      });
+    });
+  });
+});
+
+// Admin upload additional output files, e.g. a modified EEPROM next to the processed flash
+const outputUpload = upload.fields(ATTACHMENT_FIELDS);
+
+app.post('/admin/jobs/:id/attachments', requirePermission('jobs.process'), (req, res) => {
+  outputUpload(req, res, (err) => {
+    if (err) {
+      return res.status(400).send(uploadErrorMessage(err));
+    }
+    const jobId = req.params.id;
+    const files = uploadedAttachments(req);
+    db.get(`SELECT id FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+      if (err || !job) {
+        discardUploads(files);
+        return res.status(404).send('Job not found');
+      }
+      if (files.length === 0) {
+        return res.status(400).send('File is required');
+      }
+      checkUploadedFiles(files, (checkErr) => {
+        if (checkErr) {
+          if (checkErr.status) return res.status(checkErr.status).send(checkErr.message);
+          console.error(checkErr);
+          return res.status(500).send('File upload error');
+        }
+        saveAttachments(job.id, files, req.session.user.id, true, (saveErr, attachments) => {
+          if (saveErr) {
+            console.error(saveErr);
+            return res.status(500).send('Database error');
+          }
+          audit.record(req, 'job.add_attachments', 'job', job.id, null, {
+            files: attachments.map((attachment) => attachment.original_filename),
+          });
+          res.redirect(`/admin/jobs/${job.id}`);
+        });
+      });
+    });
+  });
+});
+
+// Invoices of all clients, optionally for one month (?month=YYYY-MM)
+app.get('/admin/invoices', requirePermission('invoices.view'), (req, res) => {
+  const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : '';
+  db.all(
+    `SELECT invoices.*, users.username, users.email
+     FROM invoices
+     JOIN users ON invoices.user_id = users.id
+     ${month ? `WHERE strftime('%Y-%m', invoices.issued_at) = ?` : ''}
+     ORDER BY invoices.issued_at DESC, invoices.id DESC`,
+    month ? [month] : [],
+    (err, invoices) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      const totals = invoices.reduce(
+        (sum, invoice) => ({
+          net: roundMoney(sum.net + invoice.net_amount),
+          vat: roundMoney(sum.vat + invoice.vat_amount),
+          gross: roundMoney(sum.gross + invoice.gross_amount),
+        }),
+        { net: 0, vat: 0, gross: 0 }
+      );
+      res.render('admin_invoices', { invoices, totals, month });
+    }
+  );
+});
+
+// Admin view invoice of a job
+app.get('/admin/jobs/:id/invoice', requirePermission('invoices.view'), (req, res) => {
+  db.get(
+    `SELECT invoices.*, jobs.original_filename, jobs.vehicle_make, jobs.vehicle_model, jobs.vehicle_year,
+            users.username, users.email, users.company_name, users.tax_id, users.address,
+            organizations.name AS organization_name
+     FROM invoices
+     JOIN jobs ON invoices.job_id = jobs.id
+     JOIN users ON invoices.user_id = users.id
+     LEFT JOIN organizations ON jobs.organization_id = organizations.id AND organizations.owner_id = invoices.user_id
+     WHERE invoices.job_id = ?`,
+    [req.params.id],
+    (err, invoice) => {
+      if (err || !invoice) {
+        return res.status(404).send('Invoice not found');
+      }
+      invoice.items = JSON.parse(invoice.items || '[]');
+      res.render('invoice', { invoice });
+    }
+  );
+});
+
+// Admin price list
+app.get('/admin/prices', requirePermission('prices.manage'), (req, res) => {
+  db.all(
+    `SELECT * FROM price_list ORDER BY option_key, vehicle_make, ecu_family`,
+    (err, prices) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.render('admin_prices', { prices, optionLabels: services.labels(), vatRate: VAT_RATE });
+    }
+  );
+});
+
+app.post('/admin/prices', requirePermission('prices.manage'), (req, res) => {
+  const { option_key, vehicle_make, ecu_family } = req.body;
+  const netPrice = parseFloat(String(req.body.net_price || '').replace(',', '.'));
+  if (!services.find(option_key) || isNaN(netPrice) || netPrice < 0) {
+    return res.status(400).send('Invalid price');
   }
-  const hash = bcrypt.hashSync(password, 10);
   db.run(
-    `INSERT INTO users (email, password_hash, username, role) VALUES (?, ?, ?, 'client')`,
-    [email, hash, username],
+    `INSERT INTO price_list (option_key, vehicle_make, ecu_family, net_price) VALUES (?, ?, ?, ?)`,
+    [option_key, vehicle_make || null, ecu_family || null, roundMoney(netPrice)],
     function (err) {
       if (err) {
         console.error(err);
-        return res.render('register', { error: 'Email lub nazwa użytkownika jest już w użyciu lub wystąpił błąd.' });
+        return res.status(500).send('Database error');
       }
-      req.session.user = { id: this.lastID, email, username, role: 'client' };
-      // After registration, show the welcome page
-      res.redirect('/home');
+      audit.record(req, 'price.update', 'price', this.lastID, null, {
+        option_key,
+        vehicle_make: vehicle_make || null,
+        ecu_family: ecu_family || null,
+        net_price: roundMoney(netPrice),
+      });
+      res.redirect('/admin/prices');
     }
   );
 });
 
-app.get('/login', (req, res) => {
-  res.render('login', { error: null });
+app.post('/admin/prices/:id/delete', requirePermission('prices.manage'), (req, res) => {
+  db.get(`SELECT option_key, vehicle_make, ecu_family, net_price FROM price_list WHERE id = ?`, [req.params.id], (err, price) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    db.run(`DELETE FROM price_list WHERE id = ?`, [req.params.id], (deleteErr) => {
+      if (deleteErr) {
+        console.error(deleteErr);
+        return res.status(500).send('Database error');
+      }
+      if (price) {
+        audit.record(req, 'price.delete', 'price', req.params.id, price, null);
+      }
+      res.redirect('/admin/prices');
+    });
+  });
 });
 
-app.post('/login', (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) {
-    return res.render('login', { error: 'Email i hasło są wymagane.' });
+// Admin service catalogue
+app.get('/admin/services', requirePermission('services.manage'), (req, res) => {
+  res.render('admin_services', { services: services.list(), paramTypes: SERVICE_PARAM_TYPES });
+});
+
+app.post('/admin/services', requirePermission('services.manage'), (req, res) => {
+  const service = parseServiceForm({ ...(req.body || {}), active: 1 });
+  const problem = services.validate(service, null);
+  if (problem) {
+    return res.status(400).send(problem);
   }
-  db.get(`SELECT * FROM users WHERE email = ?`, [email], (err, user) => {
-    if (err || !user) {
-      return res.render('login', { error: 'Nieprawidłowe dane logowania.' });
+  services.create(service, (err, id) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-    const valid = bcrypt.compareSync(password, user.password_hash);
-    if (!valid) {
-      return res.render('login', { error: 'Nieprawidłowe dane logowania.' });
+    audit.record(req, 'service.create', 'service', id, null, service);
+    res.redirect(`/admin/services/${id}`);
+  });
+});
+
+app.get('/admin/services/:id', requirePermission('services.manage'), (req, res) => {
+  const service = services.list().find((row) => String(row.id) === req.params.id);
+  if (!service) {
+    return res.status(404).send('Service not found');
+  }
+  res.render('admin_service_edit', { service, paramTypes: SERVICE_PARAM_TYPES, newParamRows: NEW_PARAM_ROWS });
+});
+
+app.post('/admin/services/:id', requirePermission('services.manage'), (req, res) => {
+  const existing = services.list().find((row) => String(row.id) === req.params.id);
+  if (!existing) {
+    return res.status(404).send('Service not found');
+  }
+  const service = { ...parseServiceForm(req.body || {}), key: existing.key };
+  const problem = services.validate(service, existing.id);
+  if (problem) {
+    return res.status(400).send(problem);
+  }
+  services.update(existing.id, service, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-    req.session.user = { id: user.id, email: user.email, username: user.username, role: user.role };
-    if (user.role === 'admin') {
-      return res.redirect('/admin/jobs');
+    const before = {
+      key: existing.key,
+      label: existing.label,
+      filename_tag: existing.filename_tag,
+      sort_order: existing.sort_order,
+      active: existing.active,
+      params: existing.params,
+    };
+    audit.record(req, 'service.update', 'service', existing.id, before, service);
+    res.redirect('/admin/services');
+  });
+});
+
+// CSV files of the vehicle catalog are parsed in memory
+const catalogUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024, files: 1 } });
+
+// Admin vehicle and ECU catalog, entries of one make at a time
+function renderAdminCatalog(req, res, importErrors) {
+  catalog.makes((err, makes) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    const make = makes.find((row) => String(row.id) === String(req.query.make)) || makes[0] || null;
+    const render = (entriesErr, entries) => {
+      if (entriesErr) {
+        console.error(entriesErr);
+        return res.status(500).send('Database error');
+      }
+      res.status(importErrors ? 400 : 200).render('admin_catalog', {
+        makes,
+        make,
+        entries,
+        optionLabels: services.labels(),
+        csvColumns: catalog.csvColumns(),
+        imported: req.query.imported || null,
+        importErrors: importErrors || null,
+      });
+    };
+    if (!make) return render(null, []);
+    catalog.entries(make.id, render);
+  });
+}
+
+app.get('/admin/catalog', requirePermission('catalog.manage'), (req, res) => {
+  renderAdminCatalog(req, res, null);
+});
+
+app.post('/admin/catalog', requirePermission('catalog.manage'), (req, res) => {
+  const { entry, problem } = catalog.parseEntry(req.body || {});
+  if (problem) {
+    return res.status(400).send(`Nieprawidłowy wpis: ${problem}`);
+  }
+  catalog.saveEntry(entry, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-    // For clients, go to the welcome page
-    res.redirect('/home');
+    audit.record(req, 'catalog.update', 'catalog', null, null, entry);
+    db.get(`SELECT id FROM catalog_makes WHERE name = ?`, [entry.make], (makeErr, make) => {
+      res.redirect(make ? `/admin/catalog?make=${make.id}` : '/admin/catalog');
+    });
   });
 });
 
-// Client welcome page
-app.get('/home', requireAuth, (req, res) => {
-  if (req.session.user.role === 'admin') {
-    return res.redirect('/admin/jobs');
+app.post('/admin/catalog/import', requirePermission('catalog.manage'), formUpload(catalogUpload.single('file')), (req, res) => {
+  if (!req.file) {
+    return res.status(400).send('No file uploaded');
   }
-  res.render('home');
+  catalog.importCsv(req.file.buffer.toString('utf8'), (err, result) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (result.errors.length) return renderAdminCatalog(req, res, result.errors);
+    audit.record(req, 'catalog.import', 'catalog', null, null, {
+      filename: req.file.originalname,
+      entries: result.imported,
+    });
+    res.redirect(`/admin/catalog?imported=${result.imported}`);
+  });
 });
 
-app.post('/logout', (req, res) => {
-  req.session.destroy(() => {
-    res.redirect('/');
+app.get('/admin/catalog/export', requirePermission('catalog.manage'), (req, res) => {
+  catalog.exportCsv((err, csv) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="katalog-pojazdow.csv"');
+    res.send(csv);
   });
 });
 
-// Client dashboard (kept for backward compatibility, redirect to new job page)
-app.get('/dashboard', requireAuth, (req, res) => {
-  return res.redirect('/jobs/new');
+app.post('/admin/catalog/entries/:id/delete', requirePermission('catalog.manage'), (req, res) => {
+  catalog.deleteEntry(req.params.id, (err, entry) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (entry) {
+      audit.record(req, 'catalog.delete', 'catalog', req.params.id, entry, null);
+    }
+    res.redirect(`/admin/catalog?make=${encodeURIComponent(req.query.make || '')}`);
+  });
 });
 
-// New job page
-app.get('/jobs/new', requireAuth, (req, res) => {
-  res.render('jobs_new');
+app.post('/admin/catalog/makes/:id/delete', requirePermission('catalog.manage'), (req, res) => {
+  catalog.deleteMake(req.params.id, (err, make) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (make) {
+      audit.record(req, 'catalog.delete', 'catalog', null, { make: make.name }, null);
+    }
+    res.redirect('/admin/catalog');
+  });
 });
 
-// Job history page
-app.get('/jobs/history', requireAuth, (req, res) => {
-  const userId = req.session.user.id;
-  db.all(
-    `SELECT * FROM jobs WHERE user_id = ? ORDER BY created_at DESC`,
-    [userId],
-    (err, jobs) => {
-      if (err) {
-        console.error(err);
+// CSV files of the DTC library are parsed in memory
+const dtcUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024, files: 1 } });
+
+// Admin DTC library, searched by code, description or ECU family
+function renderAdminDtc(req, res, importErrors) {
+  const filters = parseDtcFilters(req.query);
+  dtcLibrary.search(filters, (err, entries, pagination) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    dtcLibrary.systems((systemsErr, systems) => {
+      if (systemsErr) {
+        console.error(systemsErr);
         return res.status(500).send('Database error');
       }
-      res.render('jobs_history', { jobs });
-    }
-  );
+      dtcLibrary.find(req.query.edit, (editErr, edit) => {
+        if (editErr) {
+          console.error(editErr);
+          return res.status(500).send('Database error');
+        }
+        res.status(importErrors ? 400 : 200).render('admin_dtc', {
+          entries,
+          pagination,
+          filters,
+          systems,
+          edit: edit || null,
+          csvColumns: DTC_CSV_COLUMNS,
+          dtcQuery: (overrides) => dtcQueryString(filters, overrides),
+          imported: req.query.imported || null,
+          importErrors: importErrors || null,
+        });
+      });
+    });
+  });
+}
+
+app.get('/admin/dtc', requirePermission('dtc.manage'), (req, res) => {
+  renderAdminDtc(req, res, null);
 });
 
-app.post('/upload', requireAuth, upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).send('File is required');
+app.post('/admin/dtc', requirePermission('dtc.manage'), (req, res) => {
+  const { entry, problem } = dtcLibrary.parseEntry(req.body || {});
+  if (problem) {
+    return res.status(400).send(`Nieprawidłowy wpis: ${problem}`);
   }
-  const options = {
-    dpf_off: !!req.body.dpf_off,
-    egr_off: !!req.body.egr_off,
-    adblue_off: !!req.body.adblue_off,
-    dtc_off: !!req.body.dtc_off,
-    dtc_codes: req.body.dtc_codes || '',
-    immo_off: !!req.body.immo_off,
-  };
-  const notes = req.body.notes || '';
-  const vehicle_make = req.body.vehicle_make || '';
-  const vehicle_model = req.body.vehicle_model || '';
-  const vehicle_year = req.body.vehicle_year ? parseInt(req.body.vehicle_year) : null;
-  const ecu_controller = req.body.ecu_controller;
-
-  db.run(
-    `INSERT INTO jobs (user_id, original_filename, stored_filename, options, notes, status, vehicle_make, vehicle_model, vehicle_year, ecu_controller)
-     VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`,
-    [
-      req.session.user.id,
-      req.file.originalname,
-      req.file.filename,
-      JSON.stringify(options),
-      notes,
-      vehicle_make,
-      vehicle_model,
-      vehicle_year,
-      ecu_controller,
-    ],
-    function (err) {
+  dtcLibrary.find(entry.code, (findErr, before) => {
+    if (findErr) {
+      console.error(findErr);
+      return res.status(500).send('Database error');
+    }
+    dtcLibrary.saveEntry(entry, (err) => {
       if (err) {
         console.error(err);
         return res.status(500).send('Database error');
       }
-      // Notify admins about new job via Socket.io
-      io.to('admin').emit('newJob', {
-        id: this.lastID,
-        user_id: req.session.user.id,
-        username: req.session.user.username,
-        original_filename: req.file.originalname,
-        created_at: new Date().toISOString()
-      });
+      audit.record(req, 'dtc.update', 'dtc', entry.code, before || null, entry);
+      res.redirect(`/admin/dtc?q=${encodeURIComponent(entry.code)}`);
+    });
+  });
+});
+
+app.post('/admin/dtc/import', requirePermission('dtc.manage'), formUpload(dtcUpload.single('file')), (req, res) => {
+  if (!req.file) {
+    return res.status(400).send('No file uploaded');
+  }
+  dtcLibrary.importCsv(req.file.buffer.toString('utf8'), (err, result) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (result.errors.length) return renderAdminDtc(req, res, result.errors);
+    audit.record(req, 'dtc.import', 'dtc', null, null, {
+      filename: req.file.originalname,
+      entries: result.imported,
+    });
+    res.redirect(`/admin/dtc?imported=${result.imported}`);
+  });
+});
+
+app.get('/admin/dtc/export', requirePermission('dtc.manage'), (req, res) => {
+  dtcLibrary.exportCsv((err, csv) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="kody-dtc.csv"');
+    res.send(csv);
+  });
+});
+
+app.post('/admin/dtc/:code/delete', requirePermission('dtc.manage'), (req, res) => {
+  dtcLibrary.deleteEntry(req.params.code, (err, entry) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (entry) {
+      audit.record(req, 'dtc.delete', 'dtc', entry.code, entry, null);
+    }
+    res.redirect('/admin/dtc');
+  });
+});
 
-      // Send Pushover notification
-      console.log('PUSHOVER_USER_KEY:', process.env.PUSHOVER_USER_KEY);
-      console.log('PUSHOVER_APP_TOKEN:', process.env.PUSHOVER_APP_TOKEN);
-      if (process.env.PUSHOVER_USER_KEY && process.env.PUSHOVER_APP_TOKEN) {
-        console.log('Sending Pushover notification...');
-        const pushoverMessage = `Nowe zadanie!\nUżytkownik: ${req.session.user.username}\nPlik: ${req.file.originalname}`;
-        console.log('Pushover message:', pushoverMessage);
-        console.log('User key exists:', !!process.env.PUSHOVER_USER_KEY);
-        console.log('App token exists:', !!process.env.PUSHOVER_APP_TOKEN);
-
-        fetch('https://api.pushover.net/1/messages.json', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-          body: new URLSearchParams({
-            token: process.env.PUSHOVER_APP_TOKEN,
-            user: process.env.PUSHOVER_USER_KEY,
-            message: pushoverMessage,
-            title: 'Nowe zadanie ECU',
-            sound: 'pushover'
-          })
-        }).then(response => {
-          console.log('Pushover response status:', response.status);
-          return response.text();
-        }).then(text => {
-          console.log('Pushover response:', text);
-        }).catch(err => console.error('Pushover notification failed:', err));
-      } else {
-        console.log('Pushover not configured - missing environment variables');
-      }
-
-      // After creating a job, go to the history page
-      res.redirect('/jobs/history');
+// Admin download any file revision
+app.get('/admin/jobs/:id/files/:fileId', requirePermission('jobs.view'), (req, res) => {
+  db.get(
+    `SELECT * FROM job_files WHERE id = ? AND job_id = ?`,
+    [req.params.fileId, req.params.id],
+    (err, file) => {
+      if (err || !file) {
+        return res.status(404).send('File not found');
+      }
+      const downloadName = file.kind === 'original' ? file.original_filename : `${file.kind}_v${file.version}_${file.original_filename}`;
+      if (file.kind === 'original') {
+        audit.record(req, 'job.download_original', 'job', file.job_id, null, { file: file.original_filename });
+      }
+      res.download(path.join(uploadDir, file.stored_filename), downloadName);
     }
   );
 });
 
-// Edit job page
-app.get('/jobs/:id/edit', requireAuth, (req, res) => {
-  const jobId = req.params.id;
-  const userId = req.session.user.id;
+// Admin download an attachment - files sent by the client are personal data, so downloads are audited
+app.get('/admin/jobs/:id/attachments/:attachmentId', requirePermission('jobs.view'), (req, res) => {
   db.get(
-    `SELECT * FROM jobs WHERE id = ? AND user_id = ?`,
-    [jobId, userId],
-    (err, job) => {
-      if (err || !job) {
-        return res.status(404).send('Job not found');
+    `SELECT * FROM job_attachments WHERE id = ? AND job_id = ?`,
+    [req.params.attachmentId, req.params.id],
+    (err, attachment) => {
+      if (err || !attachment) {
+        return res.status(404).send('File not found');
       }
-      if (job.status !== 'pending') {
-        return res.status(403).send('Można edytować tylko oczekujące zadania');
+      if (!attachment.output) {
+        audit.record(req, 'job.download_attachment', 'job', attachment.job_id, null, {
+          file: attachment.original_filename,
+          type: attachment.type,
+        });
       }
-      res.render('jobs_edit', { job });
+      sendAttachment(req, res, attachment);
     }
   );
 });
 
-// Handle job edit submission
-app.post('/jobs/:id/edit', requireAuth, (req, res) => {
+// Admin roll back to an earlier output revision - it becomes the newest version again
+app.post('/admin/jobs/:id/files/:fileId/rollback', requirePermission('jobs.process'), (req, res) => {
   const jobId = req.params.id;
-  const userId = req.session.user.id;
-
-  // First check if job exists and belongs to user
   db.get(
-    `SELECT * FROM jobs WHERE id = ? AND user_id = ?`,
-    [jobId, userId],
-    (err, existingJob) => {
-      if (err || !existingJob) {
-        return res.status(404).send('Job not found');
+    `SELECT job_files.*, jobs.file_version AS job_file_version, jobs.status AS job_status
+     FROM job_files
+     JOIN jobs ON job_files.job_id = jobs.id
+     WHERE job_files.id = ? AND job_files.job_id = ? AND job_files.kind IN ('processed', 'corrected')`,
+    [req.params.fileId, jobId],
+    (err, file) => {
+      if (err || !file) {
+        return res.status(404).send('File not found');
       }
-      if (existingJob.status !== 'pending') {
-        return res.status(403).send('Można edytować tylko oczekujące zadania');
+      if (!['completed', 'reopened'].includes(file.job_status)) {
+        return res.status(409).send(`Nie można przywrócić pliku dla zadania o statusie "${statusLabel(file.job_status)}"`);
       }
-
-      // Update the job
-      const options = {
-        dpf_off: !!req.body.dpf_off,
-        egr_off: !!req.body.egr_off,
-        adblue_off: !!req.body.adblue_off,
-        dtc_off: !!req.body.dtc_off,
-        dtc_codes: req.body.dtc_codes || '',
-        immo_off: !!req.body.immo_off,
-      };
-      const notes = req.body.notes || '';
-      const vehicle_make = req.body.vehicle_make || '';
-      const vehicle_model = req.body.vehicle_model || '';
-      const vehicle_year = req.body.vehicle_year ? parseInt(req.body.vehicle_year) : null;
-      const ecu_controller = req.body.ecu_controller;
-
+      const newVersion = (file.job_file_version || 1) + 1;
       db.run(
         `UPDATE jobs SET
-          options = ?,
-          notes = ?,
-          vehicle_make = ?,
-          vehicle_model = ?,
-          vehicle_year = ?,
-          ecu_controller = ?,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = ? AND user_id = ?`,
-        [
-          JSON.stringify(options),
-          notes,
-          vehicle_make,
-          vehicle_model,
-          vehicle_year,
-          ecu_controller,
-          jobId,
-          userId,
-        ],
+         corrected_filename = ?,
+         file_version = ?,
+         updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [file.stored_filename, newVersion, jobId],
         (updateErr) => {
           if (updateErr) {
             console.error(updateErr);
             return res.status(500).send('Database error');
           }
-          res.redirect('/jobs/history');
+          db.run(
+            `INSERT INTO job_files (job_id, kind, version, stored_filename, original_filename, uploaded_by, sha256, file_size, note)
+             VALUES (?, 'corrected', ?, ?, ?, ?, ?, ?, ?)`,
+            [jobId, newVersion, file.stored_filename, file.original_filename, req.session.user.id, file.sha256, file.file_size, `Przywrócono wersję v${file.version}`],
+            (insertErr) => {
+              if (insertErr) {
+                console.error(insertErr);
+                return res.status(500).send('Database error');
+              }
+              audit.record(
+                req,
+                'job.file_rollback',
+                'job',
+                jobId,
+                { file_version: file.job_file_version },
+                { file_version: newVersion, restored_version: file.version, file: file.original_filename }
+              );
+              res.redirect(`/admin/jobs/${jobId}`);
+            }
+          );
         }
       );
     }
   );
 });
 
-// Client job detail
-app.get('/jobs/:id', requireAuth, (req, res) => {
+// Admin close problem report
+app.post('/admin/jobs/:id/close_problem', requirePermission('complaints.manage'), (req, res) => {
   const jobId = req.params.id;
-  const userId = req.session.user.id;
-  db.get(
-    `SELECT jobs.*, problem_reports.status AS problem_status
-     FROM jobs
-     LEFT JOIN problem_reports ON jobs.id = problem_reports.job_id AND problem_reports.status = 'open'
-     WHERE jobs.id = ? AND jobs.user_id = ?`,
-    [jobId, userId],
-    (err, job) => {
-      if (err || !job) {
-        return res.status(404).send('Job not found');
+  db.run(
+    `UPDATE problem_reports SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE job_id = ? AND status = 'open'`,
+    [jobId],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      changeJobStatus(jobId, 'completed', req.session.user.id, 'Zgłoszenie problemu zamknięte', (statusErr, job) => {
+        // A job that is not reopened (e.g. the report was closed twice) keeps its status
+        if (statusErr && statusErr.code !== 'invalid_transition') {
+          console.error(statusErr);
+          return res.status(statusErr.status || 500).send(statusErr.status ? statusErr.message : 'Database error');
+        }
+        audit.record(
+          req,
+          'job.close_problem',
+          'job',
+          jobId,
+          job ? { status: job.status } : null,
+          job ? { status: 'completed' } : null
+        );
+        notifyTuner(jobId, 'problemResolved', { job_id: jobId });
+        jobWebhook('problem.resolved', jobId, {});
+        res.redirect(`/admin/jobs/${jobId}`);
+      });
+    }
+  );
+});
+
+// Admin complaints page
+app.get('/admin/complaints', requirePermission('complaints.manage'), (req, res) => {
+  db.all(
+    `SELECT problem_reports.*, jobs.original_filename, users.username, jobs.vehicle_make, jobs.vehicle_model
+     FROM problem_reports
+     JOIN jobs ON problem_reports.job_id = jobs.id
+     JOIN users ON problem_reports.reported_by = users.id
+     WHERE problem_reports.status = 'open'
+     ORDER BY problem_reports.created_at DESC`,
+    (err, problems) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.render('admin_complaints', { problems });
+    }
+  );
+});
+
+// Get open problem reports for admin
+app.get('/api/admin/open-problems', requirePermission('complaints.manage'), (req, res) => {
+  db.all(
+    `SELECT problem_reports.*, jobs.original_filename, users.username
+     FROM problem_reports
+     JOIN jobs ON problem_reports.job_id = jobs.id
+     JOIN users ON problem_reports.reported_by = users.id
+     WHERE problem_reports.status = 'open'
+     ORDER BY problem_reports.created_at DESC`,
+    (err, problems) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(problems);
+    }
+  );
+});
+
+// Admin notification settings and outbox
+app.get('/admin/notifications', requirePermission('notifications.manage'), (req, res) => {
+  db.all(`SELECT * FROM notification_settings`, (err, settings) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    db.all(`SELECT * FROM notification_outbox ORDER BY id DESC LIMIT 50`, (outboxErr, outbox) => {
+      if (outboxErr) {
+        console.error(outboxErr);
+        return res.status(500).send('Database error');
+      }
+      const enabled = {};
+      settings.forEach((row) => {
+        enabled[`${row.event}:${row.channel}`] = !!row.enabled;
+      });
+      const channels = {};
+      Object.keys(NOTIFICATION_CHANNELS).forEach((key) => {
+        channels[key] = { label: NOTIFICATION_CHANNELS[key].label, configured: NOTIFICATION_CHANNELS[key].configured() };
+      });
+      const allowed = {};
+      Object.keys(NOTIFICATION_EVENTS).forEach((event) => {
+        eventChannels(event).forEach((channel) => {
+          allowed[`${event}:${channel}`] = true;
+        });
+      });
+      res.render('admin_notifications', {
+        events: NOTIFICATION_EVENTS,
+        allowed,
+        channels,
+        enabled,
+        outbox,
+        testResult: req.query.test || null,
+        testError: req.query.error || null,
+      });
+    });
+  });
+});
+
+app.post('/admin/notifications', requirePermission('notifications.manage'), (req, res) => {
+  const updates = [];
+  Object.keys(NOTIFICATION_EVENTS).forEach((event) => {
+    eventChannels(event).forEach((channel) => {
+      updates.push([req.body[`${event}:${channel}`] ? 1 : 0, event, channel]);
+    });
+  });
+  db.all(`SELECT event, channel FROM notification_settings WHERE enabled = 1`, (settingsErr, enabledBefore) => {
+    if (settingsErr) {
+      console.error(settingsErr);
+      return res.status(500).send('Database error');
+    }
+    let remaining = updates.length;
+    let failed = false;
+    updates.forEach((params) => {
+      db.run(`UPDATE notification_settings SET enabled = ? WHERE event = ? AND channel = ?`, params, (err) => {
+        if (err) {
+          console.error(err);
+          failed = true;
+        }
+        remaining--;
+        if (remaining === 0) {
+          if (failed) {
+            return res.status(500).send('Database error');
+          }
+          audit.record(
+            req,
+            'notifications.update',
+            'settings',
+            'notifications',
+            { enabled: enabledBefore.map((row) => `${row.event}:${row.channel}`).sort() },
+            { enabled: updates.filter(([enabled]) => enabled).map(([, event, channel]) => `${event}:${channel}`).sort() }
+          );
+          res.redirect('/admin/notifications');
+        }
+      });
+    });
+  });
+});
+
+app.post('/admin/notifications/test', requirePermission('notifications.manage'), (req, res) => {
+  const channel = req.body.channel;
+  notifier.sendTest(channel, (err) => {
+    if (err) {
+      return res.redirect(`/admin/notifications?test=${encodeURIComponent(channel)}&error=${encodeURIComponent(err.message)}`);
+    }
+    res.redirect(`/admin/notifications?test=${encodeURIComponent(channel)}`);
+  });
+});
+
+app.post('/admin/notifications/outbox/:id/retry', requirePermission('notifications.manage'), (req, res) => {
+  notifier.retry(req.params.id, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    res.redirect('/admin/notifications');
+  });
+});
+
+// Admin users list
+app.get('/admin/users', requirePermission('users.manage'), (req, res) => {
+  db.all(
+    `SELECT users.id, users.username, users.email, users.role, users.organization_id,
+            organizations.name AS organization_name, organizations.owner_id AS organization_owner_id,
+            (SELECT COALESCE(SUM(amount), 0) FROM credit_ledger WHERE credit_ledger.user_id = users.id) AS balance
+     FROM users
+     LEFT JOIN organizations ON users.organization_id = organizations.id
+     ORDER BY users.username`,
+    (err, users) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
+      }
+      res.render('admin_users', { users });
+    }
+  );
+});
+
+// The user an /admin/users/:id action changes, as req.targetUser. Only a super-admin may change
+// anything of another super-admin - their email, password, second factor, sessions or lockout.
+function requireManageableUser(req, res, next) {
+  db.get(`SELECT id, username, email, role FROM users WHERE id = ?`, [req.params.id], (err, user) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    if (!user) {
+      return res.status(404).send('User not found');
+    }
+    if (user.role === SUPER_ADMIN && req.session.user.role !== SUPER_ADMIN) {
+      return res.status(403).send('Tylko super-administrator może zmienić konto super-administratora');
+    }
+    req.targetUser = user;
+    next();
+  });
+}
+
+// Admin credit top-up or correction (negative amount)
+app.post('/admin/users/:id/credits', requirePermission('users.manage'), requireManageableUser, (req, res) => {
+  const amount = parseFloat(String(req.body.amount || '').replace(',', '.'));
+  if (isNaN(amount) || amount === 0) {
+    return res.status(400).send('Invalid amount');
+  }
+  db.run(
+    `INSERT INTO credit_ledger (user_id, amount, type, note, created_by) VALUES (?, ?, ?, ?, ?)`,
+    [req.targetUser.id, roundMoney(amount), amount > 0 ? 'topup' : 'adjustment', req.body.note || null, req.session.user.id],
+    (err) => {
+      if (err) {
+        console.error(err);
+        return res.status(500).send('Database error');
       }
-      job.hasOpenProblem = job.problem_status === 'open';
-      res.render('jobs_detail', { job });
+      audit.record(req, 'user.credits', 'user', req.params.id, null, { amount: roundMoney(amount), note: req.body.note || null });
+      res.redirect(`/admin/users/${req.params.id}/edit`);
     }
   );
 });
 
-// Report problem with completed job
-app.post('/jobs/:id/report_problem', requireAuth, (req, res) => {
-  const jobId = req.params.id;
-  const userId = req.session.user.id;
-  const description = req.body.description;
-
-  if (!description || !description.trim()) {
-    return res.status(400).send('Opis problemu jest wymagany');
-  }
-
-  // Check if job belongs to user and is completed
+// Admin edit user
+app.get('/admin/users/:id/edit', requirePermission('users.manage'), (req, res) => {
   db.get(
-    `SELECT * FROM jobs WHERE id = ? AND user_id = ? AND status = 'completed'`,
-    [jobId, userId],
-    (err, job) => {
-      if (err || !job) {
-        return res.status(403).send('Nie możesz zgłosić problemu z tym zadaniem');
+    `SELECT users.id, users.username, users.email, users.role, users.organization_id, organizations.name AS organization_name,
+            users.email_verified_at, users.phone, users.company_name, users.tax_id, users.address, users.password_reset_required,
+            users.totp_enabled_at, users.locked_until
+     FROM users
+     LEFT JOIN organizations ON users.organization_id = organizations.id
+     WHERE users.id = ?`,
+    [req.params.id],
+    (err, user) => {
+      if (err || !user) {
+        return res.status(404).send('User not found');
       }
-
-      // Check if problem already reported
-      db.get(
-        `SELECT * FROM problem_reports WHERE job_id = ? AND status = 'open'`,
-        [jobId],
-        (err, existingReport) => {
-          if (existingReport) {
-            return res.redirect(`/jobs/${jobId}`);
-          }
-
-          // Create problem report
-          db.run(
-            `INSERT INTO problem_reports (job_id, reported_by, description, status) VALUES (?, ?, ?, 'open')`,
-            [jobId, userId, description.trim()],
-            function (err) {
-              if (err) {
-                console.error(err);
+      getBalance(user.id, (balanceErr, balance) => {
+        if (balanceErr) {
+          console.error(balanceErr);
+          return res.status(500).send('Database error');
+        }
+        db.all(
+          `SELECT * FROM credit_ledger WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+          [user.id],
+          (ledgerErr, ledger) => {
+            if (ledgerErr) {
+              console.error(ledgerErr);
+              return res.status(500).send('Database error');
+            }
+            listSessions(user.id, (sessionsErr, sessions) => {
+              if (sessionsErr) {
+                console.error(sessionsErr);
                 return res.status(500).send('Database error');
               }
-
-              // Notify admins about problem report
-              io.to('admin').emit('problemReport', {
-                id: this.lastID,
-                job_id: jobId,
-                reported_by: userId,
-                username: req.session.user.username,
-                original_filename: job.original_filename,
-                description: description.trim(),
-                created_at: new Date().toISOString()
+              res.render('admin_user_edit', {
+                user,
+                balance,
+                ledger,
+                roles: permissions.list(),
+                sessions,
+                lockedSeconds: lockoutSeconds(user),
               });
+            });
+          }
+        );
+      });
+    }
+  );
+});
 
-              // Send Pushover notification for problem report
-              if (process.env.PUSHOVER_USER_KEY && process.env.PUSHOVER_APP_TOKEN) {
-                const pushoverMessage = `Zgłoszono problem!\nUżytkownik: ${req.session.user.username}\nPlik: ${job.original_filename}\nOpis: ${description.trim().substring(0, 200)}${description.trim().length > 200 ? '...' : ''}`;
-                fetch('https://api.pushover.net/1/messages.json', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                  body: new URLSearchParams({
-                    token: process.env.PUSHOVER_APP_TOKEN,
-                    user: process.env.PUSHOVER_USER_KEY,
-                    message: pushoverMessage,
-                    title: 'Problem ze zleceniem ECU',
-                    sound: 'persistent'
-                  })
-                }).catch(err => console.error('Pushover notification failed:', err));
-              }
+// Require a new password before the user can use the service again, and email them a reset link
+app.post('/admin/users/:id/force_password_reset', requirePermission('users.manage'), requireManageableUser, (req, res) => {
+  const user = req.targetUser;
+  db.run(`UPDATE users SET password_reset_required = 1 WHERE id = ?`, [user.id], (updateErr) => {
+    if (updateErr) {
+      console.error(updateErr);
+      return res.status(500).send('Database error');
+    }
+    audit.record(req, 'user.force_password_reset', 'user', user.id, null, { password_reset_required: 1 });
+    sendAccountToken(user, 'reset_password', user.email, (tokenErr) => {
+      if (tokenErr) console.error('Error sending password reset email:', tokenErr);
+      res.redirect(`/admin/users/${user.id}/edit`);
+    });
+  });
+});
 
-              res.redirect(`/jobs/${jobId}`);
-            }
-          );
-        }
-      );
+// Log a user out everywhere, e.g. when their account may be compromised
+app.post('/admin/users/:id/sessions/revoke', requirePermission('users.manage'), requireManageableUser, (req, res) => {
+  revokeSessions(Number(req.params.id), {}, (err, count) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-  );
+    audit.record(req, 'user.revoke_sessions', 'user', req.params.id, { sessions: count }, { sessions: 0 });
+    res.redirect(`/admin/users/${req.params.id}/edit`);
+  });
 });
 
-// Download processed file for client
-app.get('/jobs/:id/download', requireAuth, (req, res) => {
-  const jobId = req.params.id;
-  const userId = req.session.user.id;
-  db.get(
-    `SELECT * FROM jobs WHERE id = ? AND user_id = ?`,
-    [jobId, userId],
-    (err, job) => {
-      if (err || !job) {
-        return res.status(404).send('Job not found');
-      }
-      if (!job.processed_filename) {
-        return res.status(400).send('File not ready yet');
-      }
+// Lift a lockout after failed logins before it runs out
+app.post('/admin/users/:id/unlock', requirePermission('users.manage'), requireManageableUser, (req, res) => {
+  db.run(`UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = ?`, [req.params.id], (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    audit.record(req, 'user.unlock', 'user', req.params.id, null, null);
+    res.redirect(`/admin/users/${req.params.id}/edit`);
+  });
+});
 
-      // Choose the latest file version (corrected if exists, otherwise processed)
-      const fileName = job.corrected_filename || job.processed_filename;
-      const filePath = path.join(uploadDir, fileName);
+// Turn off two-factor authentication for a user who lost their phone and recovery codes.
+// Staff are asked to set it up again on their next request.
+app.post('/admin/users/:id/reset_2fa', requirePermission('users.manage'), requireManageableUser, (req, res) => {
+  disableTwoFactor(req.params.id, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
+    }
+    audit.record(req, 'user.reset_2fa', 'user', req.params.id, null, null);
+    res.redirect(`/admin/users/${req.params.id}/edit`);
+  });
+});
 
-      // Build filename with suffixes and version
-      let suffix = '';
-      const opts = JSON.parse(job.options || '{}');
-      if (opts.dpf_off) {
-        suffix += '(DPF_OFF)';
-      }
-      if (opts.egr_off) {
-        suffix += '(EGR_OFF)';
-      }
-      if (opts.adblue_off) {
-        suffix += '(AdBlue_OFF)';
-      }
-      if (opts.dtc_off) {
-        suffix += `(DTC_${opts.dtc_codes}_OFF)`;
+// Admin update user
+app.post('/admin/users/:id/edit', requirePermission('users.manage'), requireManageableUser, (req, res) => {
+  const { username, email, role } = req.body;
+  if (!username || !email || !role) {
+    return res.status(400).send('All fields required');
+  }
+  if (!permissions.list().some((r) => r.name === role)) {
+    return res.status(400).send('Nieznana rola');
+  }
+  db.get(
+    `SELECT username, email, role, (SELECT COUNT(*) FROM users WHERE role = ?) AS super_admins FROM users WHERE id = ?`,
+    [SUPER_ADMIN, req.params.id],
+    (err, user) => {
+      if (err || !user) {
+        return res.status(404).send('User not found');
       }
-      if (opts.immo_off) {
-        suffix += '(IMMO_OFF)';
+      // Only a super-admin hands out or takes away the super-admin role, and one has to remain
+      if ((role === SUPER_ADMIN || user.role === SUPER_ADMIN) && role !== user.role) {
+        if (req.session.user.role !== SUPER_ADMIN) {
+          return res.status(403).send('Tylko super-administrator może zmienić tę rolę');
+        }
+        if (user.role === SUPER_ADMIN && user.super_admins <= 1) {
+          return res.status(400).send('Musi pozostać co najmniej jeden super-administrator');
+        }
       }
-
-      // Add version suffix if corrected file
-      const versionSuffix = job.corrected_filename ? `_v${job.file_version}` : '';
-
-      // Split filename to insert suffix before extension
-      const parts = job.original_filename.split('.');
-      const ext = parts.length > 1 ? parts.pop() : '';
-      const base = parts.join('.');
-      const downloadFilename = ext ? `${base}_processed${suffix}${versionSuffix}.${ext}` : `${base}_processed${suffix}${versionSuffix}`;
-
-      res.download(filePath, downloadFilename);
+      // A changed address has to be confirmed again by the user
+      const emailChanged = email !== user.email;
+      db.run(
+        `UPDATE users SET username = ?, email = ?, role = ?,
+           email_verified_at = CASE WHEN ? THEN NULL ELSE email_verified_at END
+         WHERE id = ?`,
+        [username, email, role, emailChanged ? 1 : 0, req.params.id],
+        (updateErr) => {
+          if (updateErr) {
+            console.error(updateErr);
+            return res.status(500).send('Database error');
+          }
+          audit.record(
+            req,
+            'user.update',
+            'user',
+            req.params.id,
+            { username: user.username, email: user.email, role: user.role },
+            { username, email, role }
+          );
+          // Open sockets joined rooms with the old role - the next page load connects with the new one
+          if (role !== user.role) {
+            io.in(`user_${req.params.id}`).disconnectSockets(true);
+          }
+          if (!emailChanged) return res.redirect('/admin/users');
+          sendAccountToken(req.targetUser, 'verify_email', email, (tokenErr) => {
+            if (tokenErr) console.error('Error sending verification email:', tokenErr);
+            res.redirect('/admin/users');
+          });
+        }
+      );
     }
   );
 });
 
-// Admin routes
-app.get('/admin/jobs', requireAdmin, (req, res) => {
+// Organisations with their members, jobs and the owner's balance
+app.get('/admin/organizations', requirePermission('users.manage'), (req, res) => {
   db.all(
-    `SELECT jobs.*, users.email AS user_email
-     FROM jobs
-     JOIN users ON jobs.user_id = users.id
-     ORDER BY created_at DESC`,
-    [],
-    (err, jobs) => {
+    `SELECT organizations.*, owners.username AS owner_name, owners.email AS owner_email,
+            (SELECT COUNT(*) FROM users WHERE users.organization_id = organizations.id) AS member_count,
+            (SELECT COUNT(*) FROM jobs WHERE jobs.organization_id = organizations.id) AS job_count,
+            (SELECT COUNT(*) FROM jobs WHERE jobs.organization_id = organizations.id
+               AND jobs.status IN (${OPEN_STATUSES.map(() => '?').join(', ')})) AS open_jobs,
+            (SELECT COALESCE(SUM(amount), 0) FROM credit_ledger WHERE credit_ledger.user_id = organizations.owner_id) AS balance
+     FROM organizations
+     JOIN users AS owners ON organizations.owner_id = owners.id
+     ORDER BY organizations.name`,
+    OPEN_STATUSES,
+    (err, organizations) => {
       if (err) {
         console.error(err);
         return res.status(500).send('Database error');
       }
-      res.render('admin_jobs', { jobs });
+      res.render('admin_organizations', { organizations });
     }
   );
 });
 
-// Admin view job details
-app.get('/admin/jobs/:id', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  db.get(
-    `SELECT jobs.*, users.email AS user_email, problem_reports.status AS problem_status, problem_reports.description AS problem_description
-     FROM jobs
-     JOIN users ON jobs.user_id = users.id
-     LEFT JOIN problem_reports ON jobs.id = problem_reports.job_id AND problem_reports.status = 'open'
-     WHERE jobs.id = ?`,
-    [jobId],
-    (err, job) => {
-      if (err || !job) {
-        return res.status(404).send('Job not found');
-      }
-
-      // Get file size information
-      let fileSize = 'Nieznany';
-      try {
-        const filePath = path.join(uploadDir, job.stored_filename);
-        const stats = fs.statSync(filePath);
-        const sizeKB = Math.round(stats.size / 1024);
-        fileSize = `${sizeKB} KB`;
-      } catch (fileErr) {
-        // File doesn't exist or can't be accessed
-      }
-
-      res.render('admin_job_detail', { job, fileSize });
+// Admin creates an organisation for an existing client account as the owner
+app.post('/admin/organizations', requirePermission('users.manage'), (req, res) => {
+  const name = ((req.body || {}).name || '').trim();
+  const ownerEmail = ((req.body || {}).owner_email || '').trim();
+  if (!name || !ownerEmail) {
+    return res.status(400).send('Podaj nazwę organizacji i email właściciela');
+  }
+  db.get(`SELECT id, role, organization_id FROM users WHERE email = ?`, [ownerEmail], (err, owner) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-  );
-});
-
-// Admin download original
-app.get('/admin/jobs/:id/original', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
-    if (err || !job) {
-      return res.status(404).send('Job not found');
+    if (!owner) {
+      return res.status(400).send('Nie znaleziono użytkownika o tym adresie email');
     }
-    const filePath = path.join(uploadDir, job.stored_filename);
-    res.download(filePath, job.original_filename);
+    if (owner.organization_id || permissions.isStaff(owner.role)) {
+      return res.status(400).send('Właścicielem może zostać klient, który nie należy do innej organizacji');
+    }
+    db.run(`INSERT INTO organizations (name, owner_id) VALUES (?, ?)`, [name, owner.id], function (insertErr) {
+      if (insertErr) {
+        console.error(insertErr);
+        return res.status(500).send('Database error');
+      }
+      const organizationId = this.lastID;
+      joinOrganization(owner.id, organizationId, (joinErr) => {
+        if (joinErr) {
+          if (joinErr.status) return res.status(joinErr.status).send(joinErr.message);
+          console.error(joinErr);
+          return res.status(500).send('Database error');
+        }
+        audit.record(req, 'organization.create', 'organization', organizationId, null, { name, owner_id: owner.id });
+        res.redirect(`/admin/organizations/${organizationId}`);
+      });
+    });
   });
 });
 
-// Admin download processed
-app.get('/admin/jobs/:id/processed', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
-    if (err || !job) {
-      return res.status(404).send('Job not found');
-    }
-    if (!job.processed_filename) {
-      return res.status(400).send('Processed file not available');
+app.get('/admin/organizations/:id', requirePermission('users.manage'), (req, res) => {
+  db.get(`SELECT * FROM organizations WHERE id = ?`, [req.params.id], (err, organization) => {
+    if (err || !organization) {
+      return res.status(404).send('Organization not found');
     }
-    const filePath = path.join(uploadDir, job.processed_filename);
-    res.download(filePath, `processed_${job.original_filename}`);
+    db.all(
+      `SELECT id, username, email, role,
+              (SELECT COUNT(*) FROM jobs WHERE jobs.user_id = users.id AND jobs.organization_id = ?) AS job_count
+       FROM users WHERE organization_id = ? ORDER BY username`,
+      [organization.id, organization.id],
+      (membersErr, members) => {
+        if (membersErr) {
+          console.error(membersErr);
+          return res.status(500).send('Database error');
+        }
+        getBalance(organization.owner_id, (balanceErr, balance) => {
+          if (balanceErr) {
+            console.error(balanceErr);
+            return res.status(500).send('Database error');
+          }
+          res.render('admin_organization', { organization, members, balance });
+        });
+      }
+    );
   });
 });
 
-// Admin upload processed file and update status
-const adminUpload = upload.single('processed_file');
-
-app.post('/admin/jobs/:id/complete', requireAdmin, (req, res) => {
-  adminUpload(req, res, (err) => {
-    if (err) {
-      console.error(err);
-      return res.status(400).send('File upload error');
-    }
-    const jobId = req.params.id;
-    if (!req.file) {
-      return res.status(400).send('Processed file is required');
+// Rename the organisation or hand it over to another member
+app.post('/admin/organizations/:id', requirePermission('users.manage'), (req, res) => {
+  const name = ((req.body || {}).name || '').trim();
+  const ownerId = parseInt((req.body || {}).owner_id);
+  if (!name || !ownerId) {
+    return res.status(400).send('Podaj nazwę i właściciela organizacji');
+  }
+  db.get(`SELECT name, owner_id FROM organizations WHERE id = ?`, [req.params.id], (err, organization) => {
+    if (err || !organization) {
+      return res.status(404).send('Organization not found');
     }
     db.run(
-      `UPDATE jobs
-       SET status = 'completed',
-           processed_filename = ?,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [req.file.filename, jobId],
-      (updateErr) => {
+      `UPDATE organizations SET name = ?, owner_id = ?
+       WHERE id = ? AND EXISTS (SELECT 1 FROM users WHERE users.id = ? AND users.organization_id = organizations.id)`,
+      [name, ownerId, req.params.id, ownerId],
+      function (updateErr) {
         if (updateErr) {
           console.error(updateErr);
           return res.status(500).send('Database error');
         }
-        res.redirect('/admin/jobs');
+        if (this.changes === 0) {
+          return res.status(400).send('Właścicielem może zostać tylko członek organizacji');
+        }
+        audit.record(req, 'organization.update', 'organization', req.params.id, organization, { name, owner_id: ownerId });
+        res.redirect(`/admin/organizations/${req.params.id}`);
       }
     );
   });
 });
 
-// Admin cancel job
-app.post('/admin/jobs/:id/cancel', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  db.run(
-    `UPDATE jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-    [jobId],
-    (err) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Database error');
-      }
-      res.redirect('/admin/jobs');
+// Add an existing client account to the organisation
+app.post('/admin/organizations/:id/members', requirePermission('users.manage'), (req, res) => {
+  const organizationId = parseInt(req.params.id);
+  db.get(`SELECT id FROM organizations WHERE id = ?`, [organizationId], (err, organization) => {
+    if (err || !organization) {
+      return res.status(404).send('Organization not found');
     }
-  );
-});
-
-// Admin update client message
-app.post('/admin/jobs/:id/update_message', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  const client_message = req.body.client_message || '';
-  db.run(
-    `UPDATE jobs SET client_message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-    [client_message, jobId],
-    (err) => {
-      if (err) {
-        console.error(err);
+    db.get(`SELECT id FROM users WHERE email = ?`, [((req.body || {}).email || '').trim()], (userErr, user) => {
+      if (userErr) {
+        console.error(userErr);
         return res.status(500).send('Database error');
       }
-      res.redirect(`/admin/jobs/${jobId}`);
-    }
-  );
-});
-
-// Admin reopen chat for problem resolution
-app.post('/admin/jobs/:id/reopen_chat', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  // Check if there's an open problem report
-  db.get(
-    `SELECT * FROM problem_reports WHERE job_id = ? AND status = 'open'`,
-    [jobId],
-    (err, report) => {
-      if (err || !report) {
-        return res.status(404).send('No open problem report found');
+      if (!user) {
+        return res.status(400).send('Nie znaleziono użytkownika o tym adresie email');
       }
-      // Reopen the chat by updating job status or just redirect - the chat logic will handle it
-      res.redirect(`/admin/jobs/${jobId}`);
-    }
-  );
+      joinOrganization(user.id, organizationId, (joinErr) => {
+        if (joinErr) {
+          if (joinErr.status) return res.status(joinErr.status).send(joinErr.message);
+          console.error(joinErr);
+          return res.status(500).send('Database error');
+        }
+        audit.record(req, 'organization.add_member', 'organization', organizationId, null, { user_id: user.id });
+        res.redirect(`/admin/organizations/${organizationId}`);
+      });
+    });
+  });
 });
 
-// Admin upload corrected file for problem resolution
-const correctedUpload = upload.single('corrected_file');
-
-app.post('/admin/jobs/:id/upload_corrected', requireAdmin, (req, res) => {
-  correctedUpload(req, res, (err) => {
+app.post('/admin/organizations/:id/members/:userId/remove', requirePermission('users.manage'), (req, res) => {
+  leaveOrganization(req.params.userId, req.params.id, (err, removed) => {
     if (err) {
       console.error(err);
-      return res.status(400).send('File upload error');
+      return res.status(500).send('Database error');
     }
-    const jobId = req.params.id;
-    if (!req.file) {
-      return res.status(400).send('Corrected file is required');
+    if (removed) {
+      audit.record(req, 'organization.remove_member', 'organization', req.params.id, { user_id: Number(req.params.userId) }, null);
     }
-
-    // Get current file version and increment it
-    db.get(`SELECT file_version FROM jobs WHERE id = ?`, [jobId], (err, job) => {
-      if (err || !job) {
-        return res.status(404).send('Job not found');
-      }
-
-      const newVersion = (job.file_version || 1) + 1;
-
-      db.run(
-        `UPDATE jobs SET
-         corrected_filename = ?,
-         file_version = ?,
-         updated_at = CURRENT_TIMESTAMP
-         WHERE id = ?`,
-        [req.file.filename, newVersion, jobId],
-        (updateErr) => {
-          if (updateErr) {
-            console.error(updateErr);
+    res.redirect(`/admin/organizations/${req.params.id}`);
+  });
+});
+
+// Dissolve the organisation: members and their jobs become private again, billed to whoever ordered them
+app.post('/admin/organizations/:id/delete', requirePermission('users.manage'), (req, res) => {
+  const organizationId = req.params.id;
+  db.get(`SELECT name, owner_id FROM organizations WHERE id = ?`, [organizationId], (err, organization) => {
+    if (err || !organization) {
+      return res.status(404).send('Organization not found');
+    }
+    db.run(`UPDATE users SET organization_id = NULL WHERE organization_id = ?`, [organizationId], (usersErr) => {
+      if (usersErr) {
+        console.error(usersErr);
+        return res.status(500).send('Database error');
+      }
+      db.run(`UPDATE jobs SET organization_id = NULL WHERE organization_id = ?`, [organizationId], (jobsErr) => {
+        if (jobsErr) {
+          console.error(jobsErr);
+          return res.status(500).send('Database error');
+        }
+        db.run(`DELETE FROM organizations WHERE id = ?`, [organizationId], (deleteErr) => {
+          if (deleteErr) {
+            console.error(deleteErr);
             return res.status(500).send('Database error');
           }
-          res.redirect(`/admin/jobs/${jobId}`);
-        }
-      );
+          audit.record(req, 'organization.delete', 'organization', organizationId, organization, null);
+          res.redirect('/admin/organizations');
+        });
+      });
     });
   });
 });
 
-// Admin close problem report
-app.post('/admin/jobs/:id/close_problem', requireAdmin, (req, res) => {
-  const jobId = req.params.id;
-  db.run(
-    `UPDATE problem_reports SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE job_id = ? AND status = 'open'`,
-    [jobId],
-    (err) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Database error');
-      }
-      // Notify all admins that problem is resolved
-      io.to('admin').emit('problemResolved', { job_id: jobId });
-      res.redirect(`/admin/jobs/${jobId}`);
+// Roles and their permissions
+app.get('/admin/roles', requirePermission('roles.manage'), (req, res) => {
+  db.all(`SELECT role, COUNT(*) AS count FROM users GROUP BY role`, (err, rows) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-  );
+    const userCounts = {};
+    rows.forEach((row) => {
+      userCounts[row.role] = row.count;
+    });
+    res.render('admin_roles', { roles: permissions.list(), permissionLabels: PERMISSIONS, userCounts, superAdmin: SUPER_ADMIN });
+  });
 });
 
-// Admin complaints page
-app.get('/admin/complaints', requireAdmin, (req, res) => {
-  db.all(
-    `SELECT problem_reports.*, jobs.original_filename, users.username, jobs.vehicle_make, jobs.vehicle_model
-     FROM problem_reports
-     JOIN jobs ON problem_reports.job_id = jobs.id
-     JOIN users ON problem_reports.reported_by = users.id
-     WHERE problem_reports.status = 'open'
-     ORDER BY problem_reports.created_at DESC`,
-    (err, problems) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Database error');
-      }
-      res.render('admin_complaints', { problems });
+// Label, staff flag and permissions of every role, to compare before and after a change
+function roleSnapshot() {
+  const snapshot = {};
+  permissions.list().forEach((role) => {
+    snapshot[role.name] = { label: role.label, staff: role.staff, permissions: role.permissions.sort() };
+  });
+  return snapshot;
+}
+
+app.post('/admin/roles', requirePermission('roles.manage'), (req, res) => {
+  const before = roleSnapshot();
+  permissions.saveRoles((req.body || {}).roles || {}, (err) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-  );
+    // Only roles that actually changed go to the audit log
+    const after = roleSnapshot();
+    const changed = Object.keys(after).filter((name) => JSON.stringify(before[name]) !== JSON.stringify(after[name]));
+    changed.forEach((name) => {
+      audit.record(req, 'role.update', 'role', name, before[name], after[name]);
+    });
+    res.redirect('/admin/roles');
+  });
 });
 
-// Get open problem reports for admin
-app.get('/api/admin/open-problems', requireAdmin, (req, res) => {
-  db.all(
-    `SELECT problem_reports.*, jobs.original_filename, users.username
-     FROM problem_reports
-     JOIN jobs ON problem_reports.job_id = jobs.id
-     JOIN users ON problem_reports.reported_by = users.id
-     WHERE problem_reports.status = 'open'
-     ORDER BY problem_reports.created_at DESC`,
-    (err, problems) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).json({ error: 'Database error' });
+app.post('/admin/roles/new', requirePermission('roles.manage'), (req, res) => {
+  const name = ((req.body || {}).name || '').trim().toLowerCase();
+  const label = ((req.body || {}).label || '').trim();
+  if (!/^[a-z][a-z0-9_]{1,31}$/.test(name) || !label) {
+    return res.status(400).send('Podaj identyfikator roli (małe litery, cyfry, _) i nazwę');
+  }
+  permissions.createRole(name, label, isChecked(req.body.staff), (err) => {
+    if (err) {
+      if (err.message.includes('UNIQUE')) {
+        return res.status(400).send('Rola o tym identyfikatorze już istnieje');
       }
-      res.json(problems);
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-  );
+    audit.record(req, 'role.create', 'role', name, null, { label, staff: isChecked(req.body.staff) });
+    res.redirect('/admin/roles');
+  });
 });
 
-// Admin users list
-app.get('/admin/users', requireAdmin, (req, res) => {
-  db.all(`SELECT id, username, email, role FROM users ORDER BY username`, (err, users) => {
+app.post('/admin/roles/:name/delete', requirePermission('roles.manage'), (req, res) => {
+  permissions.deleteRole(req.params.name, (err, deleted) => {
     if (err) {
       console.error(err);
       return res.status(500).send('Database error');
     }
-    res.render('admin_users', { users });
+    if (!deleted) {
+      return res.status(400).send('Można usunąć tylko własną rolę, do której nie są przypisani użytkownicy');
+    }
+    audit.record(req, 'role.delete', 'role', req.params.name, null, null);
+    res.redirect('/admin/roles');
   });
 });
 
-// Admin edit user
-app.get('/admin/users/:id/edit', requireAdmin, (req, res) => {
-  db.get(`SELECT id, username, email, role FROM users WHERE id = ?`, [req.params.id], (err, user) => {
-    if (err || !user) {
-      return res.status(404).send('User not found');
+// Audit log of admin actions with filters
+app.get('/admin/audit', requirePermission('audit.view'), (req, res) => {
+  const filters = parseAuditFilters(req.query);
+  audit.search(filters, (err, entries, pagination) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-    res.render('admin_user_edit', { user });
+    res.render('admin_audit', {
+      entries,
+      filters,
+      pagination,
+      actionLabels: AUDIT_ACTIONS,
+      targetTypeLabels: AUDIT_TARGET_TYPES,
+      auditQuery: (overrides) => auditQueryString(filters, overrides),
+    });
   });
 });
 
-// Admin update user
-app.post('/admin/users/:id/edit', requireAdmin, (req, res) => {
-  const { username, email, role } = req.body;
-  if (!username || !email || !role) {
-    return res.status(400).send('All fields required');
-  }
-  db.run(
-    `UPDATE users SET username = ?, email = ?, role = ? WHERE id = ?`,
-    [username, email, role, req.params.id],
-    (err) => {
-      if (err) {
-        console.error(err);
-        return res.status(500).send('Database error');
-      }
-      res.redirect('/admin/users');
+// The same entries as CSV for compliance archives
+app.get('/admin/audit/export', requirePermission('audit.view'), (req, res) => {
+  const filters = parseAuditFilters(req.query);
+  audit.exportCsv(filters, (err, csv) => {
+    if (err) {
+      console.error(err);
+      return res.status(500).send('Database error');
     }
-  );
+    const date = new Date().toISOString().substring(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    // BOM so spreadsheet programs detect UTF-8
+    res.send(`\ufeff${csv}`);
+  });
 });
 
 // Tic-Tac-Toe routes
@@ -981,7 +5413,7 @@ app.get('/game', requireAuth, (req, res) => {
     }
     res.render('game', {
       game: game || { board: ["","","","","","","","",""], current_turn: 'user', game_status: 'waiting' },
-      isAdmin: req.session.user.role === 'admin'
+      isAdmin: permissions.isStaff(req.session.user.role)
     });
   });
 });
@@ -1001,7 +5433,7 @@ app.get('/api/game', requireAuth, (req, res) => {
 app.post('/api/game/move', requireAuth, (req, res) => {
   const { position } = req.body;
   const userId = req.session.user.id;
-  const isAdmin = req.session.user.role === 'admin';
+  const isAdmin = permissions.isStaff(req.session.user.role);
 
   if (position < 0 || position > 8) {
     return res.status(400).json({ error: 'Invalid position' });
@@ -1091,7 +5523,7 @@ app.post('/api/game/move', requireAuth, (req, res) => {
 // Reset game
 app.post('/api/game/reset', requireAuth, (req, res) => {
   // Only admin can reset the game
-  if (req.session.user.role !== 'admin') {
+  if (!permissions.isStaff(req.session.user.role)) {
     return res.status(403).json({ error: 'Only admin can reset the game' });
   }
 
@@ -1147,96 +5579,502 @@ function checkWinner(board) {
   return null;
 }
 
-// Get messages for job
+// A job whose chat the user may read - their own or their organisation's, or any job for users who
+// answer chats for the service. callback(err, job or undefined)
+function findChatJob(user, jobId, callback) {
+  const staff = permissions.can(user.role, 'chat.staff');
+  const query = staff
+    ? `SELECT * FROM jobs WHERE id = ?`
+    : `SELECT * FROM jobs WHERE id = ? AND ${SHARED_JOBS}`;
+  const params = staff ? [jobId] : [jobId, user.id, user.id];
+  db.get(query, params, callback);
+}
+
+// Get messages for job - the newest page, or the page before ?before=<message id>. Reading the
+// newest page marks the chat as read.
 app.get('/api/jobs/:id/messages', requireAuth, (req, res) => {
   const jobId = req.params.id;
-  const userId = req.session.user.id;
-  // Check if user owns the job or is admin
-  const query = req.session.user.role === 'admin'
-    ? `SELECT * FROM jobs WHERE id = ?`
-    : `SELECT * FROM jobs WHERE id = ? AND user_id = ?`;
-  const params = req.session.user.role === 'admin' ? [jobId] : [jobId, userId];
+  const user = req.session.user;
+  const before = parseInt(req.query.before) > 0 ? parseInt(req.query.before) : null;
+  const limit = Math.min(parseInt(req.query.limit) > 0 ? parseInt(req.query.limit) : MESSAGE_PAGE_SIZE, 100);
 
-  db.get(query, params, (err, job) => {
+  findChatJob(user, jobId, (err, job) => {
     if (err || !job) {
       return res.status(403).json({ error: 'Forbidden' });
     }
-    db.all(
-      `SELECT messages.*, users.username AS user_name, users.role AS user_role
-       FROM messages
-       JOIN users ON messages.user_id = users.id
-       WHERE messages.job_id = ?
-       ORDER BY messages.created_at ASC`,
-      [jobId],
-      (err, messages) => {
-        if (err) {
+    listMessagePage(job.id, before, limit, (err, messages, hasMore) => {
+      if (err) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+      messagesReadUpTo(job.id, permissions.isStaff(user.role), (readErr, readUpTo) => {
+        if (readErr) {
           return res.status(500).json({ error: 'Database error' });
         }
-        res.json(messages);
+        const answer = () => res.json({ messages, has_more: hasMore, read_up_to: readUpTo });
+        if (before || messages.length === 0) return answer();
+        markMessagesRead(job.id, user, messages[messages.length - 1].id, (markErr) => {
+          if (markErr) console.error('Error marking messages read:', markErr);
+          answer();
+        });
+      });
+    });
+  });
+});
+
+// Mark the job's chat as read up to a message shown to the user
+app.post('/api/jobs/:id/messages/read', requireAuth, (req, res) => {
+  const lastId = parseInt((req.body || {}).last_id);
+  if (!(lastId > 0)) {
+    return res.status(400).json({ error: 'last_id is required' });
+  }
+  findChatJob(req.session.user, req.params.id, (err, job) => {
+    if (err || !job) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    markMessagesRead(job.id, req.session.user, lastId, (markErr) => {
+      if (markErr) {
+        console.error(markErr);
+        return res.status(500).json({ error: 'Database error' });
       }
-    );
+      res.json({ success: true });
+    });
   });
 });
 
 // Post message
 app.post('/api/jobs/:id/messages', requireAuth, (req, res) => {
   const jobId = req.params.id;
-  const userId = req.session.user.id;
-  const message = req.body.message;
-  if (!message || !message.trim()) {
-    return res.status(400).json({ error: 'Message is required' });
-  }
-
-  // Check if user owns the job or is admin
-  const query = req.session.user.role === 'admin'
-    ? `SELECT * FROM jobs WHERE id = ?`
-    : `SELECT * FROM jobs WHERE id = ? AND user_id = ?`;
-  const params = req.session.user.role === 'admin' ? [jobId] : [jobId, userId];
 
-  db.get(query, params, (err, job) => {
+  // Everyone who reads the chat may write in it
+  findChatJob(req.session.user, jobId, (err, job) => {
     if (err || !job) {
       return res.status(403).json({ error: 'Forbidden' });
     }
-    db.run(
-      `INSERT INTO messages (job_id, user_id, message) VALUES (?, ?, ?)`,
-      [jobId, userId, message.trim()],
-      function (err) {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
+    postMessage(jobId, req.session.user, req.body.message, null, (err, msg) => {
+      if (err) {
+        if (err.status) return res.status(err.status).json({ error: err.message });
+        return res.status(500).json({ error: 'Database error' });
+      }
+      res.json(msg);
+    });
+  });
+});
+
+const chatUpload = upload.fields(ATTACHMENT_FIELDS);
+
+// Send files from the chat - each one becomes an attachment of the job announced by a chat message.
+// An optional `message` replaces the announcement of the first file.
+app.post('/api/jobs/:id/attachments', requireAuth, (req, res) => {
+  chatUpload(req, res, (uploadErr) => {
+    if (uploadErr) {
+      return res.status(400).json({ error: uploadErrorMessage(uploadErr) });
+    }
+    const jobId = req.params.id;
+    const userId = req.session.user.id;
+    const files = uploadedAttachments(req);
+
+    // Same access as posting a message
+    findChatJob(req.session.user, jobId, (err, job) => {
+      if (err || !job) {
+        discardUploads(files);
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'File is required' });
+      }
+      checkUploadedFiles(files, (checkErr) => {
+        if (checkErr) {
+          if (checkErr.status) return res.status(checkErr.status).json({ error: checkErr.message });
+          console.error(checkErr);
+          return res.status(500).json({ error: 'File upload error' });
         }
-        // Get the inserted message with user info
-        db.get(
-          `SELECT messages.*, users.username AS user_name, users.role AS user_role
-           FROM messages
-           JOIN users ON messages.user_id = users.id
-           WHERE messages.id = ?`,
-          [this.lastID],
-          (err, msg) => {
-            if (err) {
-              return res.status(500).json({ error: 'Database error' });
-            }
-            // Emit to room
-            io.to(`job_${jobId}`).emit('newMessage', msg);
-            res.json(msg);
+        saveAttachments(job.id, files, userId, false, (saveErr, attachments) => {
+          if (saveErr) {
+            console.error(saveErr);
+            return res.status(500).json({ error: 'Database error' });
           }
-        );
+          const messages = [];
+          let index = 0;
+          const announceNext = () => {
+            if (index >= attachments.length) return res.json(messages);
+            const attachment = attachments[index++];
+            const note = index === 1 && typeof req.body.message === 'string' ? req.body.message.trim() : '';
+            const text = note || `Załączono plik: ${ATTACHMENT_TYPES[attachment.type].label}`;
+            postMessage(job.id, req.session.user, text, attachment.id, (msgErr, msg) => {
+              if (msgErr) {
+                console.error(msgErr);
+                return res.status(500).json({ error: 'Database error' });
+              }
+              messages.push(msg);
+              announceNext();
+            });
+          };
+          announceNext();
+        });
+      });
+    });
+  });
+});
+
+// REST API v1 for partner integrations. Requests are authenticated with personal API tokens
+// (Authorization: Bearer ...) and answered with { data } or { error: { code, message } }.
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+// Answer with an httpError from a shared helper, anything else is a server error
+function apiFail(res, err) {
+  if (err.status) return apiError(res, err.status, err.code, err.message);
+  console.error(err);
+  return apiError(res, 500, 'server_error', 'Database error');
+}
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function requireApiToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return apiError(res, 401, 'unauthorized', 'Missing bearer token');
+  }
+  db.get(
+    `SELECT api_tokens.id AS token_id, users.id, users.username, users.email, users.role, users.email_verified_at
+     FROM api_tokens JOIN users ON api_tokens.user_id = users.id
+     WHERE api_tokens.token_hash = ? AND api_tokens.revoked_at IS NULL`,
+    [hashApiToken(match[1])],
+    (err, row) => {
+      if (err) return apiFail(res, err);
+      if (!row) {
+        return apiError(res, 401, 'unauthorized', 'Invalid or revoked API token');
+      }
+      if (!permissions.can(row.role, 'api.use')) {
+        return apiError(res, 403, 'forbidden', 'API access is not allowed for this account');
+      }
+      db.run(`UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.token_id]);
+      req.apiUser = {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        role: row.role,
+        emailVerified: !!row.email_verified_at,
+      };
+      next();
+    }
+  );
+}
+
+// multer errors (e.g. a wrong field name) as API errors instead of the HTML error page
+function apiUpload(handler) {
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (err) return apiError(res, 400, 'invalid_upload', err.message);
+      next();
+    });
+  };
+}
+
+// Load the token owner's job or answer 404, callback(job)
+function findApiJob(req, res, callback) {
+  db.get(`SELECT * FROM jobs WHERE id = ? AND user_id = ?`, [req.params.id, req.apiUser.id], (err, job) => {
+    if (err) return apiFail(res, err);
+    if (!job) return apiError(res, 404, 'not_found', 'Job not found');
+    callback(job);
+  });
+}
+
+function apiJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    original_filename: job.original_filename,
+    options: JSON.parse(job.options || '{}'),
+    notes: job.notes,
+    vehicle: { make: job.vehicle_make, model: job.vehicle_model, year: job.vehicle_year, engine: job.vehicle_engine },
+    ecu_controller: job.ecu_controller,
+    detected_ecu: {
+      manufacturer: job.ecu_detected_manufacturer,
+      family: job.ecu_detected_family,
+      hw_number: job.ecu_hw_number,
+      sw_number: job.ecu_sw_number,
+      calibration_id: job.ecu_calibration_id,
+    },
+    client_message: job.client_message || null,
+    file_ready: !!job.processed_filename,
+    file_version: job.file_version,
+    quote: { net: job.quote_net, gross: job.quote_gross },
+    paid: !!job.paid_at,
+    paid_at: job.paid_at,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+  };
+}
+
+function apiFile(file) {
+  return {
+    id: file.id,
+    kind: file.kind,
+    version: file.version,
+    original_filename: file.original_filename,
+    file_size: file.file_size,
+    sha256: file.sha256,
+    created_at: file.created_at,
+  };
+}
+
+function apiAttachment(attachment) {
+  return {
+    id: attachment.id,
+    type: attachment.type,
+    output: !!attachment.output,
+    original_filename: attachment.original_filename,
+    file_size: attachment.file_size,
+    sha256: attachment.sha256,
+    created_at: attachment.created_at,
+  };
+}
+
+function apiEvent(event) {
+  return {
+    from_status: event.from_status,
+    to_status: event.to_status,
+    comment: event.comment,
+    created_at: event.created_at,
+  };
+}
+
+function apiMessage(msg) {
+  return {
+    id: msg.id,
+    job_id: msg.job_id,
+    author: msg.user_name,
+    from_staff: !!msg.from_staff,
+    message: msg.message,
+    attachment_id: msg.attachment_id || null,
+    created_at: msg.created_at,
+  };
+}
+
+// Job with its file history and status timeline, as returned by the detail, create and edit endpoints
+function sendApiJob(res, status, jobId) {
+  db.get(`SELECT * FROM jobs WHERE id = ?`, [jobId], (err, job) => {
+    if (err || !job) return apiFail(res, err || httpError(404, 'not_found', 'Job not found'));
+    db.all(`SELECT * FROM job_files WHERE job_id = ? ORDER BY version DESC, created_at DESC`, [job.id], (filesErr, files) => {
+      if (filesErr) return apiFail(res, filesErr);
+      loadJobEvents(job.id, (eventsErr, events) => {
+        if (eventsErr) return apiFail(res, eventsErr);
+        loadAttachments(job.id, (attachmentsErr, attachments) => {
+          if (attachmentsErr) return apiFail(res, attachmentsErr);
+          res.status(status).json({
+            data: {
+              ...apiJob(job),
+              files: files.map(apiFile),
+              attachments: attachments.map(apiAttachment),
+              events: events.map(apiEvent),
+            },
+          });
+        });
+      });
+    });
+  });
+}
+
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.sendFile(path.join(__dirname, 'openapi.json'));
+});
+
+// Services that can be ordered with a job, with the parameters each takes
+app.get('/api/v1/services', requireApiToken, (req, res) => {
+  res.json({
+    data: services.active().map((service) => ({
+      key: service.key,
+      label: service.label,
+      params: service.params,
+    })),
+  });
+});
+
+app.get('/api/v1/jobs', requireApiToken, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  let where = `WHERE user_id = ?`;
+  const params = [req.apiUser.id];
+  if (req.query.status) {
+    where += ` AND status = ?`;
+    params.push(req.query.status);
+  }
+  db.get(`SELECT COUNT(*) AS total FROM jobs ${where}`, params, (err, row) => {
+    if (err) return apiFail(res, err);
+    db.all(
+      `SELECT * FROM jobs ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset],
+      (listErr, jobs) => {
+        if (listErr) return apiFail(res, listErr);
+        res.json({ data: jobs.map(apiJob), meta: { total: row.total, limit, offset } });
+      }
+    );
+  });
+});
+
+app.post('/api/v1/jobs', requireApiToken, apiUpload(upload.fields(JOB_UPLOAD_FIELDS)), (req, res) => {
+  const file = req.files && req.files.file ? req.files.file[0] : null;
+  const attachments = uploadedAttachments(req);
+  if (!permissions.can(req.apiUser.role, 'jobs.create')) {
+    discardUploads(file ? [file, ...attachments] : attachments);
+    return apiError(res, 403, 'forbidden', 'Creating jobs is not allowed for this account');
+  }
+  if (!req.apiUser.emailVerified) {
+    discardUploads(file ? [file, ...attachments] : attachments);
+    return apiError(res, 403, 'email_not_verified', 'Confirm the account email address before creating jobs');
+  }
+  if (!file) {
+    discardUploads(attachments);
+    return apiError(res, 400, 'validation_error', 'File is required');
+  }
+  createJob(req.apiUser, file, attachments, parseJobFields(req.body), (err, jobId) => {
+    if (err) return apiFail(res, err);
+    sendApiJob(res, 201, jobId);
+  });
+});
+
+app.get('/api/v1/jobs/:id', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => sendApiJob(res, 200, job.id));
+});
+
+// Partial update - fields missing from the body keep their current values
+app.patch('/api/v1/jobs/:id', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => {
+    const current = {
+      ...JSON.parse(job.options || '{}'),
+      notes: job.notes,
+      vehicle_make: job.vehicle_make,
+      vehicle_model: job.vehicle_model,
+      vehicle_year: job.vehicle_year,
+      ecu_controller: job.ecu_controller,
+      catalog_engine_id: job.catalog_engine_id,
+    };
+    const fields = parseJobFields({ ...current, ...(req.body || {}) });
+    updateJob(job.id, req.apiUser, fields, (err) => {
+      if (err) return apiFail(res, err);
+      sendApiJob(res, 200, job.id);
+    });
+  });
+});
+
+app.get('/api/v1/jobs/:id/download', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => {
+    if (!job.processed_filename) {
+      return apiError(res, 409, 'file_not_ready', 'File not ready yet');
+    }
+    if (!job.paid_at) {
+      return apiError(res, 402, 'payment_required', 'Job is not paid - top up the credit balance to download the file');
+    }
+    const fileName = job.corrected_filename || job.processed_filename;
+    const version = job.corrected_filename ? job.file_version : 1;
+    res.download(path.join(uploadDir, fileName), processedDownloadName(job, version));
+  });
+});
+
+app.get('/api/v1/jobs/:id/attachments/:attachmentId', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => {
+    db.get(
+      `SELECT * FROM job_attachments WHERE id = ? AND job_id = ?`,
+      [req.params.attachmentId, job.id],
+      (err, attachment) => {
+        if (err) return apiFail(res, err);
+        if (!attachment) return apiError(res, 404, 'not_found', 'Attachment not found');
+        if (attachment.output && !job.paid_at) {
+          return apiError(res, 402, 'payment_required', 'Job is not paid - top up the credit balance to download the file');
+        }
+        res.download(path.join(uploadDir, attachment.stored_filename), attachment.original_filename);
       }
     );
   });
 });
 
+app.post('/api/v1/jobs/:id/problem', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => {
+    reportProblem(job.id, req.apiUser, (req.body || {}).description, (err, reportId) => {
+      if (err) return apiFail(res, err);
+      res.status(201).json({ data: { id: reportId, job_id: job.id, status: 'open' } });
+    });
+  });
+});
+
+app.get('/api/v1/jobs/:id/messages', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => {
+    listMessages(job.id, (err, messages) => {
+      if (err) return apiFail(res, err);
+      res.json({ data: messages.map(apiMessage) });
+    });
+  });
+});
+
+app.post('/api/v1/jobs/:id/messages', requireApiToken, (req, res) => {
+  findApiJob(req, res, (job) => {
+    postMessage(job.id, req.apiUser, (req.body || {}).message, null, (err, msg) => {
+      if (err) return apiFail(res, err);
+      res.status(201).json({ data: apiMessage(msg) });
+    });
+  });
+});
+
+app.use('/api/v1', (req, res) => {
+  apiError(res, 404, 'not_found', 'Unknown endpoint');
+});
+
+// Malformed JSON bodies and other errors raised before an /api/v1 handler runs
+app.use('/api/v1', (err, req, res, next) => {
+  if (err.status && err.status < 500) {
+    return apiError(res, err.status, 'invalid_request', err.message);
+  }
+  console.error(err);
+  apiError(res, 500, 'server_error', 'Server error');
+});
+
 const server = http.createServer(app);
 const io = socketIo(server);
 
+// Share the login session with Socket.io so users can be put in their own room
+io.engine.use(sessionMiddleware);
+
 io.on('connection', (socket) => {
   console.log('User connected');
 
+  const sessionUser = socket.request.session && socket.request.session.user;
+  if (sessionUser) {
+    socket.join(`user_${sessionUser.id}`);
+    // Disconnected when the session is logged out or revoked (disconnectSessionSockets)
+    socket.join(`session_${socket.request.sessionID}`);
+  }
+
+  // Job chat rooms - only for users who may read the job's chat
+  const jobRooms = new Set();
   socket.on('joinJob', (jobId) => {
-    socket.join(`job_${jobId}`);
+    if (!sessionUser) return;
+    findChatJob(sessionUser, jobId, (err, job) => {
+      if (err || !job) return;
+      jobRooms.add(job.id);
+      socket.join(`job_${job.id}`);
+    });
+  });
+
+  // "Is typing" of a chat member, passed to the other people in the room
+  socket.on('typing', (jobId) => {
+    if (!jobRooms.has(Number(jobId))) return;
+    socket.to(`job_${Number(jobId)}`).emit('typing', {
+      job_id: Number(jobId),
+      user_id: sessionUser.id,
+      user_name: sessionUser.username,
+      from_staff: permissions.isStaff(sessionUser.role),
+    });
   });
 
+  // Unassigned jobs are announced to every admin
   socket.on('joinAdmin', () => {
-    socket.join('admin');
+    if (sessionUser && permissions.can(sessionUser.role, 'jobs.view')) {
+      socket.join('admin');
+    }
   });
 
   socket.on('joinGame', () => {
@@ -1252,3 +6090,7 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 });
+
+// Deliver queued notifications, including retries of failed ones
+setInterval(notifier.processOutbox, 15000);
+setInterval(webhooks.processDeliveries, 15000);
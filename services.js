@@ -0,0 +1,312 @@
+// Tuning services offered to clients (DPF off, Stage 1, speed limiter removal, ...) and the parameters a
+// client gives with each (target power, DTC codes). Services are defined in the admin panel. A job keeps
+// the selected service keys and parameter values in its `options` JSON, e.g.
+// { dpf_off: true, dtc_off: true, dtc_codes: 'P2425, P0401' }, so parameter keys are unique across services.
+const { MAX_JOB_CODES, parseCodes } = require('./dtc');
+
+const PARAM_TYPES = {
+  text: 'Tekst',
+  number: 'Liczba',
+  dtc_list: 'Lista kodów DTC',
+};
+
+// Services of a new installation. The first five were the fixed options before the catalogue existed;
+// the others start inactive until they are priced and switched on.
+const DEFAULT_SERVICES = [
+  { key: 'dpf_off', label: 'Wyłączenie DPF', filename_tag: 'DPF_OFF' },
+  { key: 'egr_off', label: 'Wyłączenie EGR', filename_tag: 'EGR_OFF' },
+  { key: 'adblue_off', label: 'Wyłączenie AdBlue', filename_tag: 'AdBlue_OFF' },
+  {
+    key: 'dtc_off',
+    label: 'Wyłączenie DTC',
+    filename_tag: 'DTC_{dtc_codes}_OFF',
+    params: [{ key: 'dtc_codes', label: 'Kody błędów DTC', type: 'dtc_list', unit: '', required: true }],
+  },
+  { key: 'immo_off', label: 'Wyłączenie IMMO', filename_tag: 'IMMO_OFF' },
+  {
+    key: 'stage1',
+    label: 'Stage 1',
+    filename_tag: 'STAGE1',
+    params: [{ key: 'stage1_power', label: 'Docelowa moc', type: 'number', unit: 'KM', required: false }],
+    inactive: true,
+  },
+  {
+    key: 'stage2',
+    label: 'Stage 2',
+    filename_tag: 'STAGE2',
+    params: [{ key: 'stage2_power', label: 'Docelowa moc', type: 'number', unit: 'KM', required: false }],
+    inactive: true,
+  },
+  { key: 'vmax_off', label: 'Usunięcie ogranicznika prędkości', filename_tag: 'VMAX_OFF', inactive: true },
+  { key: 'start_stop_off', label: 'Wyłączenie start-stop', filename_tag: 'START_STOP_OFF', inactive: true },
+  { key: 'pops_bangs', label: 'Pops & bangs', filename_tag: 'POPS_BANGS', inactive: true },
+  { key: 'swirl_off', label: 'Wyłączenie klap wirowych', filename_tag: 'SWIRL_OFF', inactive: true },
+];
+
+// Other fields of job forms and columns of the vehicle catalog import, which service and parameter keys
+// would clash with
+const RESERVED_KEYS = [
+  'file', 'notes', 'options', 'vehicle_make', 'vehicle_model', 'vehicle_year', 'ecu_controller', 'catalog_engine_id',
+  'make', 'model', 'generation', 'engine', 'year_from', 'year_to', 'ecu_family',
+];
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+// Empty rows for new parameters on the edit page
+const NEW_PARAM_ROWS = 3;
+
+function text(value) {
+  return String(value === null || value === undefined ? '' : value).trim();
+}
+
+// Only letters, digits and a few separators, so a tag is a valid file name on any system and needs no
+// quoting in a Content-Disposition header
+function fileSafe(value) {
+  return String(value).replace(/[^A-Za-z0-9_.+-]+/g, '_');
+}
+
+// A service from the admin form fields: key, label, filename_tag, sort_order, active and numbered
+// param_key_N, param_label_N, param_type_N, param_unit_N, param_required_N
+function parseServiceForm(body) {
+  const params = [];
+  const count = Math.min(parseInt(body.param_count) || 0, 50);
+  for (let i = 0; i < count; i++) {
+    const key = text(body[`param_key_${i}`]).toLowerCase();
+    if (!key) continue;
+    params.push({
+      key,
+      label: text(body[`param_label_${i}`]).substring(0, 100),
+      type: PARAM_TYPES[body[`param_type_${i}`]] ? body[`param_type_${i}`] : 'text',
+      unit: text(body[`param_unit_${i}`]).substring(0, 20),
+      required: !!body[`param_required_${i}`],
+    });
+  }
+  return {
+    key: text(body.key).toLowerCase(),
+    label: text(body.label).substring(0, 100),
+    filename_tag: text(body.filename_tag).substring(0, 100),
+    sort_order: parseInt(body.sort_order) || 0,
+    active: !!body.active,
+    params,
+  };
+}
+
+function createServices(db) {
+  // Services ordered for forms and file names: [{ id, key, label, filename_tag, params, active, sort_order }]
+  let services = [];
+
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS services (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key TEXT NOT NULL UNIQUE,
+        label TEXT NOT NULL,
+        filename_tag TEXT NOT NULL DEFAULT '',
+        params TEXT NOT NULL DEFAULT '[]',
+        active INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`
+    );
+
+    // Services are never deleted, so defaults are only added once and later changes are kept
+    DEFAULT_SERVICES.forEach((service, index) => {
+      db.run(
+        `INSERT OR IGNORE INTO services (key, label, filename_tag, params, active, sort_order) VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          service.key,
+          service.label,
+          service.filename_tag,
+          JSON.stringify(service.params || []),
+          service.inactive ? 0 : 1,
+          (index + 1) * 10,
+        ]
+      );
+    });
+
+    load();
+  }
+
+  // Refresh the in-memory copy of the catalogue
+  function load(callback) {
+    db.all(`SELECT * FROM services ORDER BY sort_order, id`, (err, rows) => {
+      if (err) {
+        console.error('Error loading services:', err);
+        if (callback) callback(err);
+        return;
+      }
+      services = rows.map((row) => ({ ...row, active: !!row.active, params: JSON.parse(row.params || '[]') }));
+      if (callback) callback(null);
+    });
+  }
+
+  function list() {
+    return services;
+  }
+
+  // Services clients can order
+  function active() {
+    return services.filter((service) => service.active);
+  }
+
+  function find(key) {
+    return services.find((service) => service.key === key) || null;
+  }
+
+  function labels() {
+    const result = {};
+    services.forEach((service) => {
+      result[service.key] = service.label;
+    });
+    return result;
+  }
+
+  // Check the parameters of the selected services and normalise their values in place (numbers,
+  // upper-case DTC lists). Returns a message for the user or null.
+  function checkOptions(options) {
+    for (const service of services) {
+      if (!options[service.key]) continue;
+      for (const param of service.params) {
+        const value = text(options[param.key]);
+        options[param.key] = value;
+        if (!value) {
+          if (param.required) return `Uzupełnij pole "${param.label}" usługi ${service.label}`;
+          continue;
+        }
+        if (param.type === 'number') {
+          const number = parseFloat(value.replace(',', '.'));
+          if (isNaN(number) || number < 0) return `${param.label} (${service.label}) musi być liczbą`;
+          options[param.key] = number;
+        } else if (param.type === 'dtc_list') {
+          const { codes, invalid } = parseCodes(value);
+          if (invalid) return `Nieprawidłowy kod DTC: ${invalid} - podaj kody w formacie P2425`;
+          if (codes.length > MAX_JOB_CODES) return `Można podać najwyżej ${MAX_JOB_CODES} kodów DTC`;
+          options[param.key] = codes.join(', ');
+        } else {
+          options[param.key] = value.substring(0, 200);
+        }
+      }
+    }
+    return null;
+  }
+
+  // "(DPF_OFF)(DTC_P2425_P0401_OFF)" for the download name of a processed file. {param_key} in a tag is
+  // replaced with the parameter's value, DTC lists with their valid codes joined by _.
+  function fileSuffix(options) {
+    return services
+      .filter((service) => options[service.key] && service.filename_tag)
+      .map((service) => {
+        const tag = service.filename_tag.replace(/\{([a-z0-9_]+)\}/g, (match, key) => {
+          const param = service.params.find((row) => row.key === key);
+          if (param && param.type === 'dtc_list') return parseCodes(options[key]).codes.join('_');
+          return text(options[key]);
+        });
+        return `(${fileSafe(tag)})`;
+      })
+      .join('');
+  }
+
+  // Codes of the DTC list parameters of the selected services, without repeats
+  function dtcCodes(options) {
+    const codes = [];
+    services.forEach((service) => {
+      if (!options[service.key]) return;
+      service.params
+        .filter((param) => param.type === 'dtc_list')
+        .forEach((param) => {
+          parseCodes(options[param.key]).codes.forEach((code) => {
+            if (!codes.includes(code)) codes.push(code);
+          });
+        });
+    });
+    return codes;
+  }
+
+  // Whether two jobs asked for the same services with the same parameter values (DTC lists in any order)
+  function sameOptions(a, b) {
+    return services.every((service) => {
+      if (!a[service.key] !== !b[service.key]) return false;
+      if (!a[service.key]) return true;
+      return service.params.every((param) => {
+        if (param.type === 'dtc_list') {
+          return parseCodes(a[param.key]).codes.sort().join() === parseCodes(b[param.key]).codes.sort().join();
+        }
+        return text(a[param.key]) === text(b[param.key]);
+      });
+    });
+  }
+
+  // Message for the user when the service cannot be saved, or null. `id` is the edited service, whose
+  // key has to be given unchanged.
+  function validate(service, id) {
+    if (!KEY_PATTERN.test(service.key)) return 'Klucz usługi może zawierać małe litery, cyfry i _ (2-40 znaków)';
+    if (!service.label) return 'Podaj nazwę usługi';
+    const others = services.filter((other) => other.id !== id);
+    const taken = new Set(RESERVED_KEYS);
+    others.forEach((other) => {
+      taken.add(other.key);
+      other.params.forEach((param) => taken.add(param.key));
+    });
+    if (taken.has(service.key)) return `Klucz ${service.key} jest już zajęty`;
+    const own = new Set([service.key]);
+    for (const param of service.params) {
+      if (!KEY_PATTERN.test(param.key)) return `Klucz parametru ${param.key} może zawierać małe litery, cyfry i _`;
+      if (!param.label) return `Podaj nazwę parametru ${param.key}`;
+      if (taken.has(param.key) || own.has(param.key)) return `Klucz parametru ${param.key} jest już zajęty`;
+      own.add(param.key);
+    }
+    const unknown = (service.filename_tag.match(/\{([^}]*)\}/g) || [])
+      .map((placeholder) => placeholder.slice(1, -1))
+      .find((key) => !service.params.some((param) => param.key === key));
+    if (unknown !== undefined) return `Znacznik pliku odwołuje się do nieznanego parametru {${unknown}}`;
+    return null;
+  }
+
+  // Add a service checked with validate(), callback(err, id)
+  function create(service, callback) {
+    db.run(
+      `INSERT INTO services (key, label, filename_tag, params, active, sort_order) VALUES (?, ?, ?, ?, ?, ?)`,
+      [service.key, service.label, service.filename_tag, JSON.stringify(service.params), service.active ? 1 : 0, service.sort_order],
+      function (err) {
+        if (err) return callback(err);
+        const id = this.lastID;
+        load((loadErr) => callback(loadErr, id));
+      }
+    );
+  }
+
+  // Save a service checked with validate(). Its key stays as it was - it is stored in jobs and prices.
+  // callback(err)
+  function update(id, service, callback) {
+    db.run(
+      `UPDATE services SET label = ?, filename_tag = ?, params = ?, active = ?, sort_order = ? WHERE id = ?`,
+      [service.label, service.filename_tag, JSON.stringify(service.params), service.active ? 1 : 0, service.sort_order, id],
+      (err) => {
+        if (err) return callback(err);
+        load(callback);
+      }
+    );
+  }
+
+  return {
+    createTables,
+    load,
+    list,
+    active,
+    find,
+    labels,
+    checkOptions,
+    fileSuffix,
+    dtcCodes,
+    sameOptions,
+    validate,
+    create,
+    update,
+  };
+}
+
+module.exports = {
+  PARAM_TYPES,
+  NEW_PARAM_ROWS,
+  parseServiceForm,
+  createServices,
+};
@@ -0,0 +1,81 @@
+// Known solutions - completed jobs whose delivered file can be reused for a new job with the same
+// original ECU software and the same requested services. The original is matched by its content hash,
+// or by the calibration ID and ECU family detected in it when the dumps differ only elsewhere.
+
+// Most earlier jobs looked at for one job, newest first
+const MAX_CANDIDATES = 50;
+
+function createSolutions(db, services) {
+  function createTables() {
+    db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_calibration ON jobs (ecu_calibration_id)`);
+  }
+
+  // Completed jobs that solved the same request, identical files first. Each has `match` ('file' or
+  // 'calibration') and `output` - the latest delivered revision from job_files. callback(err, solutions)
+  function findForJob(job, callback) {
+    if (!job.file_sha256 && !job.ecu_calibration_id) return callback(null, []);
+    db.all(
+      `SELECT jobs.id, jobs.options, jobs.file_sha256, jobs.ecu_calibration_id, jobs.vehicle_make, jobs.vehicle_model,
+              jobs.ecu_controller, users.username,
+              job_files.id AS output_id, job_files.kind AS output_kind, job_files.version AS output_version,
+              job_files.stored_filename AS output_stored_filename, job_files.original_filename AS output_original_filename,
+              job_files.sha256 AS output_sha256, job_files.file_size AS output_file_size, job_files.created_at AS output_created_at
+       FROM jobs
+       JOIN users ON jobs.user_id = users.id
+       JOIN job_files ON job_files.id = (
+         SELECT id FROM job_files WHERE job_files.job_id = jobs.id AND kind IN ('processed', 'corrected')
+         ORDER BY version DESC, id DESC LIMIT 1
+       )
+       WHERE jobs.id <> ? AND jobs.status = 'completed'
+         AND (jobs.file_sha256 = ?
+              OR (jobs.ecu_calibration_id = ? AND COALESCE(jobs.ecu_detected_family, '') = COALESCE(?, '')))
+       ORDER BY jobs.id DESC
+       LIMIT ?`,
+      [job.id, job.file_sha256, job.ecu_calibration_id, job.ecu_detected_family, MAX_CANDIDATES],
+      (err, rows) => {
+        if (err) return callback(err);
+        const options = JSON.parse(job.options || '{}');
+        const solutions = rows
+          .filter((row) => services.sameOptions(options, JSON.parse(row.options || '{}')))
+          .map((row) => ({
+            id: row.id,
+            username: row.username,
+            vehicle_make: row.vehicle_make,
+            vehicle_model: row.vehicle_model,
+            ecu_controller: row.ecu_controller,
+            match: job.file_sha256 && row.file_sha256 === job.file_sha256 ? 'file' : 'calibration',
+            output: {
+              id: row.output_id,
+              kind: row.output_kind,
+              version: row.output_version,
+              stored_filename: row.output_stored_filename,
+              original_filename: row.output_original_filename,
+              sha256: row.output_sha256,
+              file_size: row.output_file_size,
+              created_at: row.output_created_at,
+            },
+          }));
+        solutions.sort((a, b) => (a.match === b.match ? b.id - a.id : a.match === 'file' ? -1 : 1));
+        callback(null, solutions);
+      }
+    );
+  }
+
+  // One of the job's solutions, checked again when it is applied. callback(err, solution or null)
+  function find(job, sourceId, callback) {
+    findForJob(job, (err, solutions) => {
+      if (err) return callback(err);
+      callback(null, solutions.find((solution) => solution.id === Number(sourceId)) || null);
+    });
+  }
+
+  return {
+    createTables,
+    findForJob,
+    find,
+  };
+}
+
+module.exports = {
+  createSolutions,
+};
@@ -0,0 +1,106 @@
+// Time-based one-time passwords (RFC 6238) compatible with Google Authenticator, Authy and similar apps
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (let i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i];
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, the size recommended by RFC 4226
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Time step the code belongs to, or null. One step of clock drift is accepted in both directions
+// and codes from steps up to `lastStep` are rejected so a code cannot be used twice.
+function verify(secret, code, lastStep = null) {
+  const typed = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(typed)) return null;
+  const now = currentStep();
+  for (let step = now - 1; step <= now + 1; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// URI shown as a link and for manual entry in authenticator apps
+function otpauthUrl(issuer, account, secret) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Single-use codes for when the phone is lost, formatted as xxxxx-xxxxx
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const hex = crypto.randomBytes(5).toString('hex');
+    codes.push(`${hex.substring(0, 5)}-${hex.substring(5)}`);
+  }
+  return codes;
+}
+
+function normalizeRecoveryCode(code) {
+  const clean = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return clean.length === 10 ? `${clean.substring(0, 5)}-${clean.substring(5)}` : null;
+}
+
+module.exports = {
+  generateSecret,
+  verify,
+  otpauthUrl,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
@@ -0,0 +1,177 @@
+// Validation of uploaded ECU files and attachments - allowed extensions, dump sizes, executables and
+// zip archives whose entries would escape the directory they are unpacked into.
+const path = require('path');
+
+// Raw reads of the flash or EEPROM, checked against DUMP_SIZES
+const RAW_EXTENSIONS = ['.bin', '.ori', '.mod', '.dmp', '.eep', '.epr'];
+// Intel HEX and Motorola S-record text files, checked by their first character
+const TEXT_EXTENSIONS = { '.hex': ':', '.s19': 'S', '.s28': 'S', '.s37': 'S', '.srec': 'S', '.mot': 'S' };
+// Containers of flashing tools (VAG ODIS/VAS, Kess/KTag project files) and archives
+const CONTAINER_EXTENSIONS = ['.frf', '.sgo', '.odx', '.kess', '.ktag', '.zip'];
+
+const ALLOWED_EXTENSIONS = [...RAW_EXTENSIONS, ...Object.keys(TEXT_EXTENSIONS), ...CONTAINER_EXTENSIONS];
+
+// Attachments besides dumps: photos of the ECU label and logs of the tuning tool's read
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const LOG_EXTENSIONS = ['.txt', '.log', '.csv', '.pdf'];
+
+// Typed attachments of a job (besides its main flash file) and the files accepted for each
+const ATTACHMENT_TYPES = {
+  flash: { label: 'Plik flash', extensions: ALLOWED_EXTENSIONS },
+  eeprom: { label: 'Plik EEPROM', extensions: ALLOWED_EXTENSIONS },
+  read_log: { label: 'Log odczytu', extensions: LOG_EXTENSIONS },
+  photo: { label: 'Zdjęcie sterownika', extensions: IMAGE_EXTENSIONS },
+  other: { label: 'Inny plik', extensions: [...ALLOWED_EXTENSIONS, ...LOG_EXTENSIONS, ...IMAGE_EXTENSIONS] },
+};
+
+const KB = 1024;
+
+// EEPROMs and flash chips are sized in powers of two from 512 B to 16 MB, some ECUs read
+// a few banks together (1.5, 2.5, 3, 6 MB)
+const DUMP_SIZES = [
+  ...Array.from({ length: 16 }, (_, i) => 512 * 2 ** i),
+  1536 * KB,
+  2560 * KB,
+  3072 * KB,
+  6144 * KB,
+];
+
+// Never accepted inside archives either
+const EXECUTABLE_EXTENSIONS = [
+  '.exe', '.dll', '.com', '.scr', '.msi', '.bat', '.cmd', '.ps1', '.vbs', '.js', '.jar', '.sh', '.app', '.lnk',
+];
+
+function extension(name) {
+  return path.extname(String(name || '')).toLowerCase();
+}
+
+function allowedExtension(name, extensions = ALLOWED_EXTENSIONS) {
+  return extensions.includes(extension(name));
+}
+
+// Sizes from a "512,1024,..." list in KB, e.g. from an environment variable
+function parseDumpSizes(value) {
+  const sizes = String(value || '')
+    .split(',')
+    .map((size) => Math.round(parseFloat(size) * KB))
+    .filter((size) => size > 0);
+  return sizes.length ? sizes : DUMP_SIZES;
+}
+
+function formatSize(bytes) {
+  if (bytes < KB) return `${bytes} B`;
+  if (bytes < KB * KB) return `${+(bytes / KB).toFixed(1)} KB`;
+  return `${+(bytes / KB / KB).toFixed(1)} MB`;
+}
+
+// Windows PE, ELF, Mach-O and scripts with a shebang line
+function isExecutable(buffer) {
+  if (buffer.length >= 64 && buffer[0] === 0x4d && buffer[1] === 0x5a) {
+    const peOffset = buffer.readUInt32LE(0x3c);
+    if (peOffset + 4 <= buffer.length && buffer.toString('latin1', peOffset, peOffset + 4) === 'PE\0\0') return true;
+  }
+  if (buffer.length >= 4) {
+    const magic = buffer.readUInt32BE(0);
+    if (magic === 0x7f454c46) return true;
+    if ([0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(magic)) return true;
+  }
+  return buffer.length >= 2 && buffer[0] === 0x23 && buffer[1] === 0x21;
+}
+
+// Images and PDFs have to start with their format's signature
+function matchesSignature(buffer, ext) {
+  if (ext === '.jpg' || ext === '.jpeg') return buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  if (ext === '.png') return buffer.length >= 8 && buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n';
+  if (ext === '.webp') return buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP';
+  if (ext === '.pdf') return buffer.toString('latin1', 0, 5) === '%PDF-';
+  return true;
+}
+
+// Entry names from the central directory of a zip archive, or null when it cannot be read
+function zipEntryNames(buffer) {
+  // The end of central directory record is in the last 22 bytes plus an optional comment
+  const searchFrom = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = -1;
+  for (let i = buffer.length - 22; i >= searchFrom; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const names = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    names.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+function unsafeEntryName(name) {
+  const normalized = name.replace(/\\/g, '/');
+  return (
+    normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized.split('/').includes('..') ||
+    name.includes('\0')
+  );
+}
+
+function checkZip(buffer) {
+  const names = zipEntryNames(buffer);
+  if (!names) return 'Archiwum ZIP jest uszkodzone';
+  if (names.length === 0) return 'Archiwum ZIP jest puste';
+  const unsafe = names.find(unsafeEntryName);
+  if (unsafe) return `Archiwum zawiera niedozwoloną ścieżkę: ${unsafe}`;
+  const executable = names.find((name) => EXECUTABLE_EXTENSIONS.includes(extension(name)));
+  if (executable) return `Archiwum zawiera plik wykonywalny: ${executable}`;
+  return null;
+}
+
+// Reason the file is refused, or null when it can be stored.
+// options: { maxSize, dumpSizes, extensions } - dumpSizes defaults to DUMP_SIZES and extensions
+// to ALLOWED_EXTENSIONS
+function checkUpload(buffer, originalName, options = {}) {
+  const ext = extension(originalName);
+  const extensions = options.extensions || ALLOWED_EXTENSIONS;
+  if (!extensions.includes(ext)) {
+    return `Niedozwolony typ pliku${ext ? ` (${ext})` : ''}. Dozwolone: ${extensions.join(', ')}`;
+  }
+  if (buffer.length === 0) return 'Plik jest pusty';
+  if (options.maxSize && buffer.length > options.maxSize) {
+    return `Plik jest za duży - maksymalny rozmiar to ${formatSize(options.maxSize)}`;
+  }
+  if (isExecutable(buffer)) return 'Pliki wykonywalne nie są przyjmowane';
+
+  if (RAW_EXTENSIONS.includes(ext)) {
+    const dumpSizes = options.dumpSizes || DUMP_SIZES;
+    if (!dumpSizes.includes(buffer.length)) {
+      return `Nietypowy rozmiar odczytu (${formatSize(buffer.length)}) - prześlij pełny odczyt pamięci sterownika`;
+    }
+  }
+  if (TEXT_EXTENSIONS[ext] && String.fromCharCode(buffer[0]).toUpperCase() !== TEXT_EXTENSIONS[ext]) {
+    return `Zawartość pliku nie odpowiada formatowi ${ext}`;
+  }
+  if (!matchesSignature(buffer, ext)) return `Zawartość pliku nie odpowiada formatowi ${ext}`;
+  if (ext === '.zip') return checkZip(buffer);
+  return null;
+}
+
+module.exports = {
+  ALLOWED_EXTENSIONS,
+  IMAGE_EXTENSIONS,
+  LOG_EXTENSIONS,
+  ATTACHMENT_TYPES,
+  DUMP_SIZES,
+  allowedExtension,
+  parseDumpSizes,
+  formatSize,
+  checkUpload,
+};
@@ -0,0 +1,306 @@
+// Outgoing webhooks - users register URLs for job lifecycle events (roles with the
+// webhooks.all_jobs permission receive them for every job). Deliveries are signed with the webhook's secret, logged and retried with backoff.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const EVENTS = {
+  'job.created': 'Nowe zadanie',
+  'job.completed': 'Zadanie zakończone - plik gotowy',
+  'job.corrected_file': 'Przesłano poprawiony plik',
+  'job.cancelled': 'Zadanie anulowane',
+  'job.status_changed': 'Zmiana statusu zadania',
+  'problem.reported': 'Zgłoszenie problemu',
+  'problem.resolved': 'Problem rozwiązany',
+  'message.created': 'Nowa wiadomość w czacie',
+};
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Webhooks may not point into the server's own network: loopback, private, shared (CGN), link-local,
+// unique-local, multicast and reserved addresses (BlockList matches IPv4-mapped IPv6 addresses too)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+].forEach(([network, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, type));
+
+// First resolved address that lies in the internal network, if any
+function findBlocked(addresses) {
+  return addresses.find((entry) => BLOCKED_ADDRESSES.check(entry.address, entry.family === 6 ? 'ipv6' : 'ipv4'));
+}
+
+// dns.lookup for outgoing connections that refuses internal addresses - the address checked is the one connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = findBlocked(addresses);
+    if (blocked) {
+      return callback(new Error(`Adres ${blocked.address} jest adresem sieci wewnętrznej`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Check that a webhook URL is http(s) and every address its host resolves to is public,
+// callback(err) with a message for the user
+function checkTarget(url, callback) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return callback(new Error('Podaj poprawny adres URL (http lub https)'));
+  }
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  dns.lookup(host, { all: true, verbatim: true }, (err, addresses) => {
+    if (err || addresses.length === 0) {
+      return callback(new Error(`Nie można ustalić adresu serwera ${host}`));
+    }
+    const blocked = findBlocked(addresses);
+    if (blocked) {
+      return callback(new Error(`Adres ${blocked.address} jest adresem sieci wewnętrznej`));
+    }
+    callback(null);
+  });
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Receivers verify HMAC-SHA256(secret, "<timestamp>.<body>") against X-Webhook-Signature
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function parseEvents(value) {
+  return String(value || '')
+    .split(',')
+    .filter((event) => EVENTS[event]);
+}
+
+function createWebhooks(db) {
+  let processing = false;
+
+  function createTables() {
+    db.run(
+      `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )`
+    );
+
+    db.run(
+      `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+      )`
+    );
+  }
+
+  function queue(webhookId, event, payload, callback) {
+    db.run(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, ?, ?)`,
+      [webhookId, event, payload],
+      callback
+    );
+  }
+
+  // Queue an event for the job owner's webhooks and for webhooks of staff watching all jobs
+  function dispatch(event, ownerId, data) {
+    db.all(
+      `SELECT webhooks.* FROM webhooks
+       JOIN users ON webhooks.user_id = users.id
+       WHERE webhooks.active = 1
+         AND (webhooks.user_id = ?
+              OR users.role IN (SELECT role FROM role_permissions WHERE permission = 'webhooks.all_jobs'))`,
+      [ownerId],
+      (err, hooks) => {
+        if (err) {
+          console.error('Error loading webhooks:', err);
+          return;
+        }
+        const payload = JSON.stringify({ event, created_at: new Date().toISOString(), data });
+        const targets = hooks.filter((hook) => parseEvents(hook.events).includes(event));
+        let remaining = targets.length;
+        targets.forEach((hook) => {
+          queue(hook.id, event, payload, (insertErr) => {
+            if (insertErr) {
+              console.error('Error queueing webhook delivery:', insertErr);
+            }
+            remaining--;
+            if (remaining === 0) {
+              processDeliveries();
+            }
+          });
+        });
+      }
+    );
+  }
+
+  // The host may resolve elsewhere than at registration, so the connection resolves it through
+  // publicLookup and never reaches an internal address; IP literals are rejected by checkTarget.
+  // Redirects are not followed, a 3xx answer counts as a failed delivery.
+  function deliver(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    return new Promise((resolve, reject) => {
+      checkTarget(delivery.url, (err) => (err ? reject(err) : resolve()));
+    }).then(() => new Promise((resolve, reject) => {
+      const url = new URL(delivery.url);
+      const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(delivery.payload),
+          'User-Agent': 'SerwisPlikow-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${sign(delivery.secret, timestamp, delivery.payload)}`,
+        },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      }, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          if (body.length < 1000) body += chunk;
+        });
+        response.on('end', () => resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode,
+          body: body.substring(0, 1000),
+        }));
+        response.on('error', reject);
+      });
+      request.on('error', reject);
+      request.end(delivery.payload);
+    }));
+  }
+
+  // Send due deliveries; non-2xx answers and network errors are retried with exponential backoff
+  function processDeliveries() {
+    if (processing) return;
+    processing = true;
+    db.all(
+      `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+       FROM webhook_deliveries
+       JOIN webhooks ON webhook_deliveries.webhook_id = webhooks.id
+       WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY webhook_deliveries.id LIMIT 20`,
+      (err, deliveries) => {
+        if (err || deliveries.length === 0) {
+          if (err) console.error('Error reading webhook deliveries:', err);
+          processing = false;
+          return;
+        }
+        let remaining = deliveries.length;
+        const done = () => {
+          remaining--;
+          if (remaining === 0) processing = false;
+        };
+        deliveries.forEach((delivery) => {
+          const fail = (message, response) => {
+            const attempts = delivery.attempts + 1;
+            const failed = attempts >= MAX_ATTEMPTS;
+            const delay = RETRY_BASE_SECONDS * Math.pow(2, attempts - 1);
+            console.error(`Webhook delivery #${delivery.id} to ${delivery.url} failed (attempt ${attempts}): ${message}`);
+            db.run(
+              `UPDATE webhook_deliveries
+               SET status = ?, attempts = ?, last_error = ?, response_status = ?, response_body = ?, next_attempt_at = datetime('now', ?)
+               WHERE id = ?`,
+              [failed ? 'failed' : 'pending', attempts, message, response ? response.status : null, response ? response.body : null, `+${delay} seconds`, delivery.id],
+              done
+            );
+          };
+          deliver(delivery)
+            .then((response) => {
+              if (!response.ok) {
+                return fail(`HTTP ${response.status}`, response);
+              }
+              db.run(
+                `UPDATE webhook_deliveries
+                 SET status = 'delivered', attempts = attempts + 1, last_error = NULL, response_status = ?, response_body = ?, delivered_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [response.status, response.body, delivery.id],
+                done
+              );
+            })
+            .catch((sendErr) => fail(sendErr.message));
+        });
+      }
+    );
+  }
+
+  // Send the payload of an earlier delivery again as a new delivery, callback(err)
+  function redeliver(deliveryId, callback) {
+    db.get(`SELECT * FROM webhook_deliveries WHERE id = ?`, [deliveryId], (err, delivery) => {
+      if (err || !delivery) return callback(err || new Error('Delivery not found'));
+      queue(delivery.webhook_id, delivery.event, delivery.payload, (insertErr) => {
+        if (!insertErr) processDeliveries();
+        callback(insertErr);
+      });
+    });
+  }
+
+  // Queue a test event so the receiver can check the signature
+  function ping(webhookId, callback) {
+    const payload = JSON.stringify({ event: 'ping', created_at: new Date().toISOString(), data: { webhook_id: Number(webhookId) } });
+    queue(webhookId, 'ping', payload, (err) => {
+      if (!err) processDeliveries();
+      callback(err);
+    });
+  }
+
+  return {
+    createTables,
+    dispatch,
+    processDeliveries,
+    redeliver,
+    ping,
+  };
+}
+
+module.exports = {
+  EVENTS,
+  generateSecret,
+  sign,
+  checkTarget,
+  parseEvents,
+  createWebhooks,
+};
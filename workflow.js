@@ -0,0 +1,40 @@
+// Job status workflow: pending → accepted → in_progress → completed, with cancelled/rejected
+// as final states and reopened while a problem report on a completed job is being handled.
+const STATUSES = {
+  pending: 'Oczekujące',
+  accepted: 'Przyjęte',
+  in_progress: 'W trakcie',
+  completed: 'Zakończone',
+  reopened: 'Ponownie otwarte',
+  cancelled: 'Anulowane',
+  rejected: 'Odrzucone',
+};
+
+const TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled'],
+  accepted: ['in_progress', 'rejected', 'cancelled'],
+  in_progress: ['completed', 'rejected', 'cancelled'],
+  completed: ['reopened'],
+  reopened: ['completed', 'cancelled'],
+  cancelled: [],
+  rejected: [],
+};
+
+// Statuses in which the job is still waiting for or being worked on by a tuner
+const OPEN_STATUSES = ['pending', 'accepted', 'in_progress', 'reopened'];
+
+function canTransition(from, to) {
+  return !!TRANSITIONS[from] && TRANSITIONS[from].includes(to);
+}
+
+function statusLabel(status) {
+  return STATUSES[status] || status;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  canTransition,
+  statusLabel,
+};